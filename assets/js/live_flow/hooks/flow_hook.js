@@ -8,14 +8,40 @@
 import { CoordinateUtils } from '../utils/coordinates.js';
 import { PanZoomManager } from '../interaction/pan_zoom.js';
 import { NodeDragManager } from '../interaction/node_drag.js';
+import { NodeResizeManager } from '../interaction/node_resize.js';
 import { ConnectionManager } from '../interaction/connection.js';
+import { EdgeWaypointManager } from '../interaction/edge_waypoints.js';
+import { EdgeRouterManager } from '../interaction/edge_router.js';
 import { SelectionManager } from '../interaction/selection.js';
 import { CursorManager } from '../interaction/cursor.js';
 import { HelperLinesManager } from '../interaction/helper_lines.js';
+import { MinimapManager } from '../interaction/minimap.js';
+import { ControlsManager } from '../interaction/controls.js';
+import { AutoPanManager } from '../interaction/auto_pan.js';
 import { exportSVG, exportPNG, downloadString, downloadBlob } from '../utils/export.js';
-import { calculateBezierPath } from '../utils/paths.js';
+import { calculateEdgePath, calculateSelfLoopPath, getEdgePathOptions } from '../utils/paths.js';
+import { isFloatingEdge } from '../utils/floating.js';
+import { positionEdgeLabels } from '../utils/edge_labels.js';
 import { getLayoutedElements } from '../utils/layout.js';
 
+// Keyboard navigation: zoom factor per +/- press, and pan distance per
+// arrow press in px (four times that with Shift)
+const KEY_ZOOM_STEP = 1.2;
+const KEY_PAN_STEP = 50;
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+// A shortcut's keys as <kbd>s: "Ctrl+Z" is a combination, and an array
+// lists single keys that each work (for keys like "+" that can't be split)
+function shortcutKeys(keys) {
+  if (Array.isArray(keys)) return keys.map(k => `<kbd>${k}</kbd>`).join(' ');
+  return keys.split('+').map(k => `<kbd>${k.trim()}</kbd>`).join(' + ');
+}
+
 export const LiveFlowHook = {
   mounted() {
     // Parse configuration from data attributes
@@ -24,6 +50,12 @@ export const LiveFlowHook = {
       maxZoom: parseFloat(this.el.dataset.maxZoom) || 4.0,
       panOnDrag: this.el.dataset.panOnDrag !== 'false',
       zoomOnScroll: this.el.dataset.zoomOnScroll !== 'false',
+      panOnScroll: this.el.hasAttribute('data-pan-on-scroll'),
+      panOnScrollMode: this.el.dataset.panOnScrollMode || 'free',
+      panInertia: this.el.hasAttribute('data-pan-inertia'),
+      smoothZoom: this.el.hasAttribute('data-smooth-zoom'),
+      autoPan: this.el.hasAttribute('data-auto-pan'),
+      translateExtent: JSON.parse(this.el.dataset.translateExtent || 'null'),
       snapToGrid: this.el.hasAttribute('data-snap-to-grid'),
       snapGridX: parseFloat(this.el.dataset.snapGridX) || 15,
       snapGridY: parseFloat(this.el.dataset.snapGridY) || 15,
@@ -32,14 +64,26 @@ export const LiveFlowHook = {
       elementsSelectable: this.el.dataset.elementsSelectable !== 'false',
       fitViewOnInit: this.el.hasAttribute('data-fit-view-on-init'),
       cursors: this.el.hasAttribute('data-cursors'),
-      helperLines: this.el.hasAttribute('data-helper-lines')
+      helperLines: this.el.hasAttribute('data-helper-lines'),
+      connectionLineType: this.el.dataset.connectionLineType || 'bezier',
+      deleteEdgeOnDrop: this.el.hasAttribute('data-delete-edge-on-drop'),
+      allowSelfLoops: this.el.hasAttribute('data-allow-self-loops'),
+      connectionRadius: parseFloat(this.el.dataset.connectionRadius ?? '20'),
+      connectToPane: this.el.hasAttribute('data-connect-to-pane'),
+      connectToPaneTypes: JSON.parse(this.el.dataset.connectToPaneTypes || '[]'),
+      connectOnClick: this.el.hasAttribute('data-connect-on-click'),
+      connectionValidators: JSON.parse(this.el.dataset.connectionValidators || '[]'),
+      proximityConnect: this.el.hasAttribute('data-proximity-connect'),
+      proximityConnectDistance: parseFloat(this.el.dataset.proximityConnectDistance ?? '100'),
+      spliceEdges: this.el.hasAttribute('data-splice-edges'),
+      minimapNodeColors: JSON.parse(this.el.dataset.minimapNodeColors || '{}')
     };
 
     // State
     this.viewport = { x: 0, y: 0, zoom: 1 };
     this.selectedNodes = new Set();
     this.selectedEdges = new Set();
-    this.interactionMode = null; // 'pan' | 'drag' | 'connect' | 'select'
+    this.interactionMode = null; // 'pan' | 'drag' | 'resize' | 'waypoint' | 'connect' | 'select'
 
     // DOM references
     this.container = this.el;
@@ -51,8 +95,13 @@ export const LiveFlowHook = {
     this.coords = new CoordinateUtils(this);
     this.panZoom = new PanZoomManager(this);
     this.nodeDrag = new NodeDragManager(this);
+    this.nodeResize = new NodeResizeManager(this);
     this.connection = new ConnectionManager(this);
+    this.edgeWaypoints = new EdgeWaypointManager(this);
+    this.edgeRouter = new EdgeRouterManager(this);
     this.selection = new SelectionManager(this);
+    this.controls = new ControlsManager(this);
+    this.autoPan = new AutoPanManager(this);
 
     // Initialize cursor manager if collaboration cursors are enabled
     if (this.config.cursors) {
@@ -66,6 +115,8 @@ export const LiveFlowHook = {
 
     // Initialize
     this.measureContainer();
+    this.syncMinimap();
+    this.controls.sync();
     this.setupEventListeners();
     this.setupResizeObserver();
     this.setupNodeObserver();
@@ -74,6 +125,12 @@ export const LiveFlowHook = {
     this.handleEvent('lf:fit_view', (payload) => {
       this.panZoom.fitView(payload.padding, payload.duration);
     });
+    this.handleEvent('lf:fit_nodes', (payload) => {
+      this.panZoom.fitNodes(payload.ids || [], payload.padding, payload.duration);
+    });
+    this.handleEvent('lf:center_on_node', (payload) => {
+      this.panZoom.centerOnNode(payload.id, payload.zoom ?? undefined, payload.duration);
+    });
     this.handleEvent('lf:zoom_to', (payload) => {
       this.panZoom.zoomTo(payload.zoom, payload.duration);
     });
@@ -85,8 +142,16 @@ export const LiveFlowHook = {
       }, payload.duration || 200);
     });
     this.handleEvent('lf:set_viewport', (payload) => {
-      this.viewport = { x: payload.x, y: payload.y, zoom: payload.zoom };
+      // The server's viewport wins; don't send it the one being replaced
+      this.panZoom.stopMotion({ push: false });
+      const requested = { x: payload.x, y: payload.y, zoom: payload.zoom };
+      this.viewport = requested;
       this.applyViewportTransform();
+      // Tell the server if the translate extent moved it
+      if (this.viewport !== requested) this.pushViewportChange();
+    });
+    this.handleEvent('lf:connection_rejected', (payload) => {
+      this.connection.showRejection(payload);
     });
 
     // Cursor collaboration events
@@ -219,9 +284,18 @@ export const LiveFlowHook = {
     // Measure initial nodes after first render
     requestAnimationFrame(() => {
       this.measureNodes();
+      this._updateFloatingEdges();
+      this.connection.makeHandlesFocusable();
+      this.minimap?.schedule();
+      this.positionAllEdgeLabels();
+      this.edgeRouter.schedule();
       // Fit view on init if configured
       if (this.config.fitViewOnInit) {
         requestAnimationFrame(() => this.panZoom.fitView());
+      } else if (this.config.translateExtent) {
+        // Bring the initial viewport inside the extent
+        this.applyViewportTransform();
+        this.pushViewportChange();
       }
     });
   },
@@ -229,9 +303,15 @@ export const LiveFlowHook = {
   destroyed() {
     this.panZoom.destroy();
     this.nodeDrag.destroy();
+    this.nodeResize.destroy();
     this.connection.destroy();
     this.selection.destroy();
+    this.edgeWaypoints.destroy();
+    this.edgeRouter.destroy();
     this.cursor?.destroy();
+    this.minimap?.destroy();
+    this.controls.destroy();
+    this.autoPan.destroy();
     this.helperLines?.destroy();
     this.resizeObserver?.disconnect();
     this.nodeObserver?.disconnect();
@@ -245,13 +325,36 @@ export const LiveFlowHook = {
     // Re-apply client-side viewport transform after DOM patch — the server
     // may have an older viewport state, and its re-render would overwrite
     // the CSS transform causing a visible zoom/pan jump.
+    this.panZoom.refreshContentExtent();
     this.applyViewportTransform();
+    this.container.toggleAttribute('data-space-pan', !!this.spacePan);
     // Re-apply client-side drag positions after DOM patch to prevent jitter
     if (this.nodeDrag.isDragging()) {
       this.nodeDrag.reapplyPositions();
     }
-    // Measure any new or changed nodes
-    requestAnimationFrame(() => this.measureNodes());
+    if (this.nodeResize.isResizing()) {
+      this.nodeResize.reapplyDimensions();
+    }
+    if (this.edgeWaypoints.isDragging()) {
+      this.edgeWaypoints.reapplyWaypoints();
+    }
+    this.edgeRouter.reapplyRoutes();
+    this._updateFloatingEdges();
+    // connect_on_click can be switched on the server
+    this.config.connectOnClick = this.el.hasAttribute('data-connect-on-click');
+    if (!this.config.connectOnClick && this.connection.isArmed()) {
+      this.connection.cancelConnection();
+      this.interactionMode = null;
+    }
+    this.connection.makeHandlesFocusable();
+    this.syncMinimap();
+    this.controls.sync();
+    // Measure any new or changed nodes, then re-place edge labels on their paths
+    requestAnimationFrame(() => {
+      this.measureNodes();
+      this.positionAllEdgeLabels();
+      this.edgeRouter.schedule();
+    });
   },
 
   // ===== Event Listeners Setup =====
@@ -281,9 +384,19 @@ export const LiveFlowHook = {
     this.onEdgeLabelDblClick = this.onEdgeLabelDblClick.bind(this);
     this.container.addEventListener('dblclick', this.onEdgeLabelDblClick);
 
+    // Edge waypoint double-click add/remove
+    this.onEdgeWaypointDblClick = this.onEdgeWaypointDblClick.bind(this);
+    this.container.addEventListener('dblclick', this.onEdgeWaypointDblClick);
+
     // Keyboard
     document.addEventListener('keydown', this.onKeyDown);
     document.addEventListener('keyup', this.onKeyUp);
+    // A Space released in another window never sends keyup here
+    this.onWindowBlur = () => {
+      this.setSpacePan(false);
+      this.nodeDrag.endNudge();
+    };
+    window.addEventListener('blur', this.onWindowBlur);
   },
 
   removeEventListeners() {
@@ -293,8 +406,10 @@ export const LiveFlowHook = {
     this.container.removeEventListener('mouseup', this.onMouseUp);
     this.container.removeEventListener('mouseleave', this.onMouseUp);
     this.container.removeEventListener('dblclick', this.onEdgeLabelDblClick);
+    this.container.removeEventListener('dblclick', this.onEdgeWaypointDblClick);
     document.removeEventListener('keydown', this.onKeyDown);
     document.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onWindowBlur);
   },
 
   setupResizeObserver() {
@@ -329,6 +444,7 @@ export const LiveFlowHook = {
 
     nodeEls.forEach(el => {
       const nodeId = el.dataset.nodeId;
+      if (el.dataset.resizing === 'true') return;
       const w = el.offsetWidth;
       const h = el.offsetHeight;
       if (w === 0 && h === 0) return;
@@ -342,6 +458,7 @@ export const LiveFlowHook = {
 
     if (changes.length > 0) {
       this.pushNodeChange(changes);
+      this.panZoom.refreshContentExtent();
     }
 
     // Observe new nodes for resize
@@ -369,6 +486,8 @@ export const LiveFlowHook = {
         if (!el.classList.contains('lf-node')) continue;
         const nodeId = el.dataset?.nodeId;
         if (!nodeId) continue;
+        // Sizes during a user resize are pushed by NodeResizeManager
+        if (el.dataset.resizing === 'true') continue;
 
         const w = el.offsetWidth;
         const h = el.offsetHeight;
@@ -382,6 +501,7 @@ export const LiveFlowHook = {
       }
       if (changes.length > 0) {
         this.pushNodeChange(changes);
+        this.panZoom.refreshContentExtent();
       }
     });
 
@@ -407,15 +527,45 @@ export const LiveFlowHook = {
     const rect = this.container.getBoundingClientRect();
     const centerX = event.clientX - rect.left;
     const centerY = event.clientY - rect.top;
-    this.panZoom.zoom(event.deltaY, centerX, centerY);
+    this.panZoom.wheel(event, centerX, centerY);
   },
 
   onMouseDown(event) {
+    // Any new interaction stops pan momentum or a zoom in progress
+    this.panZoom.stopMotion();
+    this.nodeDrag.endNudge();
+
+    // Space + drag pans from anywhere, nodes included
+    if (this.spacePan && event.button === 0 && !this.connection.isArmed()) {
+      event.preventDefault();
+      if (this.panZoom.startPan(event, true)) this.interactionMode = 'pan';
+      return;
+    }
+
+    // Click-to-connect: an armed handle connects to whatever is clicked next
+    if (this.connection.isArmed()) {
+      event.preventDefault();
+      this.connection.endConnection(event);
+      this.interactionMode = null;
+      return;
+    }
+
     // Check what was clicked
     const target = event.target;
     const nodeEl = target.closest('[data-node-id]');
     const handleEl = target.closest('[data-handle-id]');
 
+    // Resize handle click
+    const resizeHandle = target.closest('.lf-resize-handle');
+    if (resizeHandle && nodeEl) {
+      event.preventDefault();
+      event.stopPropagation();
+      if (this.nodeResize.startResize(nodeEl.dataset.nodeId, resizeHandle.dataset.resizeDirection, event)) {
+        this.interactionMode = 'resize';
+      }
+      return;
+    }
+
     // Handle click
     if (handleEl && nodeEl) {
       // Start connection from handle
@@ -487,6 +637,29 @@ export const LiveFlowHook = {
       return;
     }
 
+    // Edge waypoint drag
+    const waypoint = target.closest('.lf-edge-waypoint');
+    if (waypoint) {
+      event.preventDefault();
+      event.stopPropagation();
+      const index = parseInt(waypoint.dataset.waypointIndex, 10);
+      if (this.edgeWaypoints.startDrag(waypoint.dataset.edgeId, index, event)) {
+        this.interactionMode = 'waypoint';
+      }
+      return;
+    }
+
+    // Edge endpoint drag (reconnect)
+    const updater = target.closest('.lf-edge-updater');
+    if (updater) {
+      event.preventDefault();
+      event.stopPropagation();
+      if (this.connection.startReconnect(updater.dataset.edgeId, updater.dataset.edgeEnd, event)) {
+        this.interactionMode = 'connect';
+      }
+      return;
+    }
+
     // Edge click
     const edgeEl = target.closest('[data-edge-id]');
     if (edgeEl && (target.classList.contains('lf-edge-interaction') || target.classList.contains('lf-edge'))) {
@@ -522,17 +695,27 @@ export const LiveFlowHook = {
         break;
       case 'drag':
         this.nodeDrag.moveDrag(event);
+        this.autoPan.update(event);
+        break;
+      case 'resize':
+        this.nodeResize.moveResize(event);
+        break;
+      case 'waypoint':
+        this.edgeWaypoints.moveDrag(event);
         break;
       case 'connect':
         this.connection.moveConnection(event);
+        this.autoPan.update(event);
         break;
       case 'select':
         this.selection.moveSelection(event);
+        this.autoPan.update(event);
         break;
     }
   },
 
   onMouseUp(event) {
+    this.autoPan.stop();
     switch (this.interactionMode) {
       case 'pan':
         this.panZoom.endPan();
@@ -540,7 +723,15 @@ export const LiveFlowHook = {
       case 'drag':
         this.nodeDrag.endDrag();
         break;
+      case 'resize':
+        this.nodeResize.endResize();
+        break;
+      case 'waypoint':
+        this.edgeWaypoints.endDrag();
+        break;
       case 'connect':
+        // A click on a handle arms it; keep following the pointer
+        if (this.connection.isArmed() || this.connection.armOnClick()) return;
         this.connection.endConnection(event);
         break;
       case 'select':
@@ -560,6 +751,7 @@ export const LiveFlowHook = {
     if (touches.length === 2) {
       // Pinch-to-zoom / two-finger pan start
       event.preventDefault();
+      this.panZoom.stopMotion();
       this._cancelLongPress();
       // If single-touch was active, cancel it
       if (this.interactionMode === 'drag' || this.interactionMode === 'pan') {
@@ -763,6 +955,57 @@ export const LiveFlowHook = {
       }
     }
 
+    // Keys that type into a field aren't shortcuts
+    const typing = event.target.closest?.('input, textarea, select, [contenteditable]');
+    // Navigation keys would otherwise scroll the page, so they only move the
+    // canvas when it has focus or the pointer is over it
+    const navigating = !ctrl && !typing &&
+      (this.container.contains(document.activeElement) || this.container.matches(':hover'));
+
+    // Zoom in / out / reset (+, -, 0)
+    if (navigating && (key === '+' || key === '=')) {
+      event.preventDefault();
+      this.panZoom.zoomTo(this.viewport.zoom * KEY_ZOOM_STEP);
+      return;
+    }
+    if (navigating && key === '-') {
+      event.preventDefault();
+      this.panZoom.zoomTo(this.viewport.zoom / KEY_ZOOM_STEP);
+      return;
+    }
+    if (navigating && key === '0') {
+      event.preventDefault();
+      this.panZoom.zoomTo(1);
+      return;
+    }
+
+    // Arrow keys nudge selected nodes by a pixel or a grid step (Shift: ×10)
+    const arrow = ARROW_KEYS[key];
+    if (arrow && navigating && this.selectedNodes.size > 0) {
+      event.preventDefault();
+      const { snapToGrid, snapGridX, snapGridY } = this.config;
+      const scale = event.shiftKey ? 10 : 1;
+      const stepX = (snapToGrid ? snapGridX : 1) * scale;
+      const stepY = (snapToGrid ? snapGridY : 1) * scale;
+      this.nodeDrag.nudge(arrow[0] * stepX, arrow[1] * stepY);
+      return;
+    }
+
+    // Arrow keys pan when nothing is selected
+    if (arrow && navigating && this.selectedNodes.size === 0 && this.selectedEdges.size === 0) {
+      event.preventDefault();
+      const step = event.shiftKey ? KEY_PAN_STEP * 4 : KEY_PAN_STEP;
+      this.panZoom.panBy(-arrow[0] * step, -arrow[1] * step);
+      return;
+    }
+
+    // Zoom to selection (Shift+2), unless it's typing "@" into a field
+    if (event.shiftKey && !ctrl && event.code === 'Digit2' && !typing && this.selectedNodes.size > 0) {
+      event.preventDefault();
+      this.panZoom.fitNodes(Array.from(this.selectedNodes));
+      return;
+    }
+
     // Keyboard shortcuts panel (? key)
     if (key === '?' && !ctrl && !event.shiftKey) {
       event.preventDefault();
@@ -770,21 +1013,51 @@ export const LiveFlowHook = {
       return;
     }
 
-    // Escape - clear selection or close shortcuts panel
+    // Enter / Space on a focused handle - click-to-connect from the keyboard
+    const handleEl = document.activeElement?.closest?.('[data-handle-id]');
+    if ((key === 'Enter' || key === ' ') && this.config.connectOnClick && handleEl &&
+        this.container.contains(handleEl)) {
+      event.preventDefault();
+      if (this.connection.activateHandle(handleEl)) {
+        this.interactionMode = this.connection.isArmed() ? 'connect' : null;
+      }
+      return;
+    }
+
+    // Hold Space to pan by dragging, unless it would press a focused button
+    if (key === ' ' && navigating && !event.target.closest?.('button')) {
+      event.preventDefault();
+      this.setSpacePan(true);
+      return;
+    }
+
+    // Escape - cancel a connection, clear selection or close shortcuts panel
     if (key === 'Escape') {
       if (this.shortcutsPanelVisible) {
         this.toggleShortcutsPanel();
         return;
       }
-      this.selection.clearSelection();
       if (this.connection.isConnecting()) {
-        this.connection.endConnection({ clientX: 0, clientY: 0 });
+        this.connection.cancelConnection();
+        this.interactionMode = null;
+        return;
       }
+      this.selection.clearSelection();
     }
   },
 
   onKeyUp(event) {
-    // Handle key up events if needed
+    if (event.key === ' ') this.setSpacePan(false);
+    if (ARROW_KEYS[event.key]) this.nodeDrag.scheduleNudgeEnd();
+  },
+
+  /**
+   * Turn Space + drag panning on while Space is held. The flag is kept on
+   * the container for the grab cursor.
+   */
+  setSpacePan(on) {
+    this.spacePan = on;
+    this.container.toggleAttribute('data-space-pan', on);
   },
 
   // ===== Edge Label Editing =====
@@ -866,6 +1139,33 @@ export const LiveFlowHook = {
     input.addEventListener('mousedown', (e) => e.stopPropagation());
   },
 
+  // ===== Edge Waypoints =====
+
+  onEdgeWaypointDblClick(event) {
+    const target = event.target;
+
+    // Double-click a waypoint to remove it
+    const waypoint = target.closest('.lf-edge-waypoint');
+    if (waypoint) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.edgeWaypoints.removeWaypoint(
+        waypoint.dataset.edgeId,
+        parseInt(waypoint.dataset.waypointIndex, 10)
+      );
+      return;
+    }
+
+    // Double-click a selected edge to add one
+    if (!target.classList.contains('lf-edge-interaction') && !target.classList.contains('lf-edge')) return;
+    const edgeId = target.closest('[data-edge-id]')?.dataset.edgeId;
+    if (!edgeId || !this.selectedEdges.has(edgeId)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.edgeWaypoints.insertWaypoint(edgeId, event);
+  },
+
   // ===== Keyboard Shortcuts Panel =====
 
   shortcutsPanelVisible: false,
@@ -891,6 +1191,7 @@ export const LiveFlowHook = {
       { keys: 'Escape', desc: 'Clear selection / Cancel' },
       { keys: 'Delete / Backspace', desc: 'Delete selected' },
       { keys: `${mod}+A`, desc: 'Select all' },
+      { keys: ['\u2190', '\u2191', '\u2192', '\u2193'], desc: 'Move selected (Shift: ×10)' },
       { section: 'History' },
       { keys: `${mod}+Z`, desc: 'Undo' },
       { keys: `${mod}+Shift+Z`, desc: 'Redo' },
@@ -901,8 +1202,14 @@ export const LiveFlowHook = {
       { keys: `${mod}+D`, desc: 'Duplicate selected' },
       { section: 'Navigation' },
       { keys: 'Scroll', desc: 'Zoom in/out' },
+      { keys: ['+'], desc: 'Zoom in' },
+      { keys: ['-'], desc: 'Zoom out' },
+      { keys: '0', desc: 'Reset zoom' },
       { keys: 'Click + Drag', desc: 'Pan canvas' },
+      { keys: 'Space + Drag', desc: 'Pan canvas, even over nodes' },
+      { keys: ['\u2190', '\u2191', '\u2192', '\u2193'], desc: 'Pan canvas (nothing selected)' },
       { keys: 'Shift + Drag', desc: 'Box selection' },
+      { keys: 'Shift+2', desc: 'Zoom to selection' },
     ];
 
     const overlay = document.createElement('div');
@@ -922,7 +1229,7 @@ export const LiveFlowHook = {
         html += `<div class="lf-shortcuts-section">${item.section}</div>`;
       } else {
         html += `<div class="lf-shortcuts-row">` +
-          `<span class="lf-shortcuts-keys">${item.keys.split('+').map(k => `<kbd>${k.trim()}</kbd>`).join(' + ')}</span>` +
+          `<span class="lf-shortcuts-keys">${shortcutKeys(item.keys)}</span>` +
           `<span class="lf-shortcuts-desc">${item.desc}</span>` +
           `</div>`;
       }
@@ -949,9 +1256,29 @@ export const LiveFlowHook = {
   // ===== Viewport Operations =====
 
   applyViewportTransform() {
+    // Every viewport change comes through here, so this is where it's bounded
+    this.viewport = this.panZoom.clampViewport(this.viewport);
     const { x, y, zoom } = this.viewport;
     this.viewportEl.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
     this.cursor?.repositionAll();
+    this.minimap?.schedule();
+    this.controls?.update();
+  },
+
+  /**
+   * Start or stop drawing the minimap as the `minimap` option comes and
+   * goes, and redraw it after patches.
+   */
+  syncMinimap() {
+    const el = this.el.querySelector('.lf-minimap');
+    if (this.minimap && this.minimap.el !== el) {
+      this.minimap.destroy();
+      this.minimap = null;
+    }
+    if (el && !this.minimap) {
+      this.minimap = new MinimapManager(this, el);
+    }
+    this.minimap?.schedule();
   },
 
   // ===== Remote Edge Updates =====
@@ -970,29 +1297,91 @@ export const LiveFlowHook = {
       if (!sourceId || !targetId) return;
       if (!nodeIds.has(sourceId) && !nodeIds.has(targetId)) return;
 
-      const sourceHandlePos = this.nodeDrag.getHandlePosition(sourceId, g.dataset.sourceHandle, 'source');
-      const targetHandlePos = this.nodeDrag.getHandlePosition(targetId, g.dataset.targetHandle, 'target');
-      const sourceCoords = this.nodeDrag.getHandleCoords(sourceId, sourceHandlePos);
-      const targetCoords = this.nodeDrag.getHandleCoords(targetId, targetHandlePos);
-      if (!sourceCoords || !targetCoords) return;
+      this._updateEdgePath(g);
+    });
+  },
+
+  /**
+   * Get the current source/target handle coordinates and positions of an
+   * edge group, or null if either node is missing. Floating edges get the
+   * points on their node outlines instead.
+   */
+  _getEdgeEndpoints(g) {
+    const sourceId = g.dataset.source;
+    const targetId = g.dataset.target;
+    if (!sourceId || !targetId) return null;
+
+    const options = getEdgePathOptions(g);
+    if (isFloatingEdge(g, options)) {
+      return this.nodeDrag.getFloatingEndpoints(sourceId, targetId, options.waypoints);
+    }
+
+    const sourceHandlePos = this.nodeDrag.getHandlePosition(sourceId, g.dataset.sourceHandle, 'source');
+    const targetHandlePos = this.nodeDrag.getHandlePosition(targetId, g.dataset.targetHandle, 'target');
+    const sourceCoords = this.nodeDrag.getHandleCoords(sourceId, sourceHandlePos);
+    const targetCoords = this.nodeDrag.getHandleCoords(targetId, targetHandlePos);
+    if (!sourceCoords || !targetCoords) return null;
+
+    return {
+      source: { ...sourceCoords, position: sourceHandlePos },
+      target: { ...targetCoords, position: targetHandlePos }
+    };
+  },
+
+  /**
+   * Recalculate one edge group's SVG path from its nodes and path options.
+   */
+  _updateEdgePath(g) {
+    // Routed edges are recalculated by the router within its frame budget
+    if (this.edgeRouter.isRouted(g)) {
+      this.edgeRouter.schedule([g.dataset.edgeId]);
+      return;
+    }
 
-      const pathD = calculateBezierPath(
-        sourceCoords.x, sourceCoords.y, sourceHandlePos,
-        targetCoords.x, targetCoords.y, targetHandlePos
+    const ends = this._getEdgeEndpoints(g);
+    if (!ends) return;
+
+    const pathD = g.dataset.source === g.dataset.target
+      ? calculateSelfLoopPath(
+        g.dataset.edgeType,
+        ends.source.x, ends.source.y, ends.source.position,
+        ends.target.x, ends.target.y, ends.target.position,
+        this.nodeDrag.getNodeRect(g.dataset.source),
+        getEdgePathOptions(g)
+      )
+      : calculateEdgePath(
+        g.dataset.edgeType,
+        ends.source.x, ends.source.y, ends.source.position,
+        ends.target.x, ends.target.y, ends.target.position,
+        getEdgePathOptions(g)
       );
 
-      g.querySelectorAll('path').forEach(p => p.setAttribute('d', pathD));
+    g.querySelectorAll('path').forEach(p => p.setAttribute('d', pathD));
 
-      // Update label/insert button positions (midpoint)
-      const midX = (sourceCoords.x + targetCoords.x) / 2;
-      const midY = (sourceCoords.y + targetCoords.y) / 2;
-      const label = g.querySelector('.lf-edge-label-wrapper');
-      if (label) { label.setAttribute('x', midX - 50); label.setAttribute('y', midY - 10); }
-      const insert = g.querySelector('.lf-edge-insert-wrapper');
-      if (insert) { insert.setAttribute('x', midX - 12); insert.setAttribute('y', midY - 12); }
+    // Move label/insert/delete buttons along the new path
+    positionEdgeLabels(g);
+  },
+
+  /**
+   * Move floating edges onto their nodes' outlines. The server places them
+   * on the node boxes, so this runs after mount and every patch.
+   */
+  _updateFloatingEdges() {
+    const groups = this.edgeLayer?.querySelectorAll('g[data-edge-id]') || [];
+    groups.forEach(g => {
+      if (isFloatingEdge(g, getEdgePathOptions(g))) this._updateEdgePath(g);
     });
   },
 
+  /**
+   * Place every edge's label and buttons on its rendered path at the
+   * configured label_position. The server renders them at a fixed-size
+   * box around its own label point, so this runs after mount and each patch.
+   */
+  positionAllEdgeLabels() {
+    this.edgeLayer?.querySelectorAll('g[data-edge-id]').forEach(g => positionEdgeLabels(g));
+  },
+
   // ===== Remote Drag Interpolation =====
 
   _startRemoteDragAnimation() {
@@ -1028,6 +1417,7 @@ export const LiveFlowHook = {
 
     if (movedIds.size > 0) {
       this._updateEdgesForNodes(movedIds);
+      this.minimap?.schedule();
     }
 
     if (needsMore) {
@@ -15,8 +15,15 @@ export { FileImportHook, setupDownloadHandler } from './hooks/utility_hooks.js';
 export { CoordinateUtils } from './utils/coordinates.js';
 export { PanZoomManager } from './interaction/pan_zoom.js';
 export { NodeDragManager } from './interaction/node_drag.js';
+export { NodeResizeManager } from './interaction/node_resize.js';
 export { ConnectionManager } from './interaction/connection.js';
+export { NodeTypePicker } from './interaction/node_type_picker.js';
+export { EdgeWaypointManager } from './interaction/edge_waypoints.js';
+export { EdgeRouterManager } from './interaction/edge_router.js';
 export { SelectionManager } from './interaction/selection.js';
+export { MinimapManager } from './interaction/minimap.js';
+export { ControlsManager } from './interaction/controls.js';
+export { AutoPanManager } from './interaction/auto_pan.js';
 
 // Default export for convenience
 export default {
@@ -0,0 +1,105 @@
+/**
+ * Auto-pan manager for LiveFlow
+ *
+ * While a node is dragged, a connection drawn or a selection box dragged,
+ * holding the pointer near the container edge scrolls the viewport that
+ * way, faster the closer it gets. Each frame replays the last pointer event
+ * through the current interaction, so dragged nodes and the connection
+ * preview stay under the pointer while the canvas moves beneath them.
+ */
+
+// Distance from the edge, in px, where panning starts
+const MARGIN = 40;
+// Pan speed at the very edge, in px per 16ms
+const MAX_SPEED = 15;
+// Longest frame step, so a stalled tab doesn't jump when it resumes
+const MAX_FRAME_STEP = 64;
+
+export class AutoPanManager {
+  constructor(hook) {
+    this.hook = hook;
+    this.frame = null;
+    this.lastEvent = null;
+    this.velocity = { x: 0, y: 0 };
+    this.panned = false;
+  }
+
+  /**
+   * Speed along one axis for a pointer at `pos` in a container of `size`
+   */
+  axisSpeed(pos, size) {
+    if (pos < MARGIN) return Math.min(1, (MARGIN - pos) / MARGIN) * MAX_SPEED;
+    if (pos > size - MARGIN) return -Math.min(1, (pos - (size - MARGIN)) / MARGIN) * MAX_SPEED;
+    return 0;
+  }
+
+  /**
+   * Start, steer or stop panning for a pointer move during an interaction
+   */
+  update(event) {
+    if (!this.hook.config.autoPan) return;
+
+    this.lastEvent = event;
+    const [sx, sy] = this.hook.coords.eventToScreen(event);
+    const { width, height } = this.hook.containerRect;
+    this.velocity = { x: this.axisSpeed(sx, width), y: this.axisSpeed(sy, height) };
+
+    if (this.velocity.x === 0 && this.velocity.y === 0) {
+      this.stop();
+    } else if (!this.frame) {
+      let prev = performance.now();
+      const step = (time) => {
+        const elapsed = Math.max(0, Math.min(time - prev, MAX_FRAME_STEP));
+        prev = time;
+        this.pan(this.velocity.x * elapsed / 16, this.velocity.y * elapsed / 16);
+        this.frame = requestAnimationFrame(step);
+      };
+      this.frame = requestAnimationFrame(step);
+    }
+  }
+
+  pan(dx, dy) {
+    const { x, y, zoom } = this.hook.viewport;
+    this.hook.viewport = { x: x + dx, y: y + dy, zoom };
+    this.hook.applyViewportTransform();
+    this.panned = true;
+    // How far it actually moved, if the translate extent stopped it
+    const movedX = this.hook.viewport.x - x;
+    const movedY = this.hook.viewport.y - y;
+
+    // Replay the pointer so whatever is being dragged follows the canvas
+    const event = this.lastEvent;
+    switch (this.hook.interactionMode) {
+      case 'drag':
+        this.hook.nodeDrag.moveDrag(event);
+        break;
+      case 'connect':
+        this.hook.connection.moveConnection(event);
+        break;
+      case 'select':
+        this.hook.selection.shiftSelectionStart(movedX, movedY);
+        this.hook.selection.moveSelection(event);
+        break;
+      default:
+        this.stop();
+    }
+  }
+
+  /**
+   * Stop panning and sync the viewport if it moved
+   */
+  stop() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.lastEvent = null;
+    if (this.panned) {
+      this.panned = false;
+      this.hook.pushViewportChange();
+    }
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+}
@@ -1,17 +1,43 @@
 /**
  * Connection manager for LiveFlow
- * Handles creating edges by dragging from handles.
- * Draws the preview line client-side for instant feedback.
+ * Handles creating edges by dragging from handles, and reconnecting
+ * existing edges by dragging one of their endpoints.
+ * Draws the preview line client-side for instant feedback, snapping it to
+ * the nearest valid handle within the connection radius or on the node
+ * under the pointer.
+ * With `connect_to_pane`, a connection dropped on empty canvas asks the
+ * app to create a connected node there.
+ *
+ * With `connection_validators`, targets the server would reject are shown
+ * as invalid, with the reason in a tooltip next to the pointer.
+ *
+ * When the server rejects a connection it pushes `lf:connection_rejected`;
+ * the attempted handles flash red, the reason is shown where the connection
+ * was dropped and an `lf:connection-rejected` DOM event is dispatched.
+ *
+ * With `connect_on_click`, clicking (or tapping, or pressing Enter on) a
+ * handle arms it instead: the preview follows the pointer until a second
+ * click picks the target. Escape cancels. Dragging still works as usual.
  */
-import { calculateBezierPath } from '../utils/paths.js';
+import { calculateEdgePath } from '../utils/paths.js';
+import { NodeTypePicker } from './node_type_picker.js';
+import { readEdges, validateConnection } from '../utils/validation.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
+// Pointer travel (screen px) after which a press on a handle is a drag, not a click
+const CLICK_TOLERANCE = 4;
+// How long the server's rejection reason stays up (ms)
+const REJECTION_DURATION = 2500;
 
 export class ConnectionManager {
   constructor(hook) {
     this.hook = hook;
     this.connecting = null;
     this.previewSvg = null;
+    this.picker = new NodeTypePicker(hook);
+    // The last connection sent to the server, for placing its rejection
+    this.lastAttempt = null;
+    this.rejection = null;
   }
 
   /**
@@ -33,11 +59,7 @@ export class ConnectionManager {
     if (!handleEl) return false;
 
     // Get handle center position in flow coordinates
-    const rect = handleEl.getBoundingClientRect();
-    const containerRect = this.hook.container.getBoundingClientRect();
-    const screenX = rect.left + rect.width / 2 - containerRect.left;
-    const screenY = rect.top + rect.height / 2 - containerRect.top;
-    const [flowX, flowY] = this.hook.coords.screenToFlow(screenX, screenY);
+    const [flowX, flowY] = this.handleCenter(handleEl);
 
     this.connecting = {
       nodeId,
@@ -48,7 +70,12 @@ export class ConnectionManager {
       startX: flowX,
       startY: flowY,
       currentX: flowX,
-      currentY: flowY
+      currentY: flowY,
+      startClientX: event?.clientX,
+      startClientY: event?.clientY,
+      moved: false,
+      armed: false,
+      handles: this.cacheHandleCenters()
     };
 
     // Create SVG preview overlay (outside LiveView-managed DOM)
@@ -67,11 +94,19 @@ export class ConnectionManager {
     this.connecting.currentX = flowX;
     this.connecting.currentY = flowY;
 
-    // Update preview line in DOM directly
-    this.updatePreviewLine(flowX, flowY);
+    const { startClientX, startClientY } = this.connecting;
+    if (startClientX === undefined ||
+        Math.hypot(event.clientX - startClientX, event.clientY - startClientY) > CLICK_TOLERANCE) {
+      this.connecting.moved = true;
+    }
 
-    // Check for valid target handles
-    this.checkHandleHover(event);
+    // Check for valid target handles, snapping the preview line to one
+    const target = this.checkHandleHover(event);
+    if (target && this.isValidConnection(this.connecting, target)) {
+      this.updatePreviewLine(target.x, target.y, target.handlePosition);
+    } else {
+      this.updatePreviewLine(flowX, flowY);
+    }
   }
 
   /**
@@ -86,21 +121,353 @@ export class ConnectionManager {
     // Find target handle under cursor
     const target = this.findTargetHandle(event);
 
+    if (this.connecting.reconnect) {
+      this.endReconnect(target);
+    } else if (target && this.isValidConnection(this.connecting, target)) {
+      this.pushConnect(target);
+    } else if (!target && this.hook.config.connectToPane && this.isOverPane(event)) {
+      this.connectToPane(event);
+    } else {
+      this.hook.pushEvent('lf:connect_cancel', {});
+    }
+
+    this.connecting = null;
+    this.clearHandleHighlights();
+  }
+
+  /**
+   * Push `lf:connect_end` for a connection from `origin` (the current
+   * connection by default) to `target`
+   */
+  pushConnect(target, origin = this.connecting) {
+    const isSourceHandle = origin.handleType === 'source';
+    const payload = {
+      source: isSourceHandle ? origin.nodeId : target.nodeId,
+      source_handle: isSourceHandle ? origin.handleId : target.handleId,
+      target: isSourceHandle ? target.nodeId : origin.nodeId,
+      target_handle: isSourceHandle ? target.handleId : origin.handleId
+    };
+
+    this.lastAttempt = { ...payload, x: target.x, y: target.y };
+    this.hook.pushEvent('lf:connect_end', payload);
+  }
+
+  /**
+   * Abandon the connection without connecting anything
+   */
+  cancelConnection() {
+    if (!this.connecting) return;
+
+    this.removePreviewOverlay();
+    if (this.connecting.reconnect) {
+      delete this.connecting.reconnect.group.dataset.reconnecting;
+    }
+    this.hook.pushEvent('lf:connect_cancel', {});
+    this.connecting = null;
+    this.clearHandleHighlights();
+  }
+
+  // ===== Server Rejection =====
+
+  /**
+   * Show that the server rejected a connection (`lf:connection_rejected`).
+   * Endpoints and position default to the last connection sent.
+   *
+   * @param {{reason: ?string, source: ?string, source_handle: ?string, target: ?string,
+   *          target_handle: ?string, x: ?number, y: ?number}} payload
+   */
+  showRejection(payload = {}) {
+    const attempt = this.lastAttempt || {};
+    const detail = {
+      reason: payload.reason || null,
+      source: payload.source ?? attempt.source ?? null,
+      source_handle: payload.source_handle ?? attempt.source_handle ?? null,
+      target: payload.target ?? attempt.target ?? null,
+      target_handle: payload.target_handle ?? attempt.target_handle ?? null
+    };
+    this.lastAttempt = null;
+    this.clearRejection();
+
+    const handles = [
+      detail.source && this.findHandleElement(detail.source, detail.source_handle, 'source'),
+      detail.target && this.findHandleElement(detail.target, detail.target_handle, 'target')
+    ].filter(Boolean);
+    handles.forEach(el => {
+      el.dataset.rejected = 'true';
+    });
+
+    let point = null;
+    if (payload.x != null && payload.y != null) {
+      point = [payload.x, payload.y];
+    } else if (attempt.x != null && (attempt.source ?? null) === detail.source &&
+               (attempt.target ?? null) === detail.target) {
+      point = [attempt.x, attempt.y];
+    } else if (handles.length > 0) {
+      const centers = handles.map(el => this.handleCenter(el));
+      point = [
+        centers.reduce((sum, [x]) => sum + x, 0) / centers.length,
+        centers.reduce((sum, [, y]) => sum + y, 0) / centers.length
+      ];
+    }
+
+    let bubble = null;
+    if (detail.reason && point) {
+      const [left, top] = this.hook.coords.flowToScreen(point[0], point[1]);
+      bubble = document.createElement('div');
+      bubble.className = 'lf-connection-rejection';
+      bubble.setAttribute('role', 'alert');
+      bubble.textContent = detail.reason;
+      bubble.style.left = `${left}px`;
+      bubble.style.top = `${top}px`;
+      this.hook.container.appendChild(bubble);
+    }
+
+    this.rejection = {
+      handles,
+      bubble,
+      timer: setTimeout(() => this.clearRejection(), REJECTION_DURATION)
+    };
+
+    this.hook.el.dispatchEvent(new CustomEvent('lf:connection-rejected', { bubbles: true, detail }));
+  }
+
+  clearRejection() {
+    if (!this.rejection) return;
+    clearTimeout(this.rejection.timer);
+    this.rejection.handles.forEach(el => delete el.dataset.rejected);
+    this.rejection.bubble?.remove();
+    this.rejection = null;
+  }
+
+  // ===== Click to Connect =====
+
+  /**
+   * Check if a handle is armed, waiting for a click on the target
+   */
+  isArmed() {
+    return this.connecting?.armed === true;
+  }
+
+  /**
+   * Called when the press that started a connection is released. In
+   * click-to-connect mode a press without a drag arms the handle; returns
+   * whether it did.
+   */
+  armOnClick() {
+    if (!this.hook.config.connectOnClick || !this.connecting) return false;
+    if (this.connecting.reconnect || this.connecting.moved) return false;
+
+    this.arm();
+    return true;
+  }
+
+  /**
+   * Keep the current connection open after the pointer is released
+   */
+  arm() {
+    this.connecting.armed = true;
+    const handleEl = this.findHandleElement(this.connecting.nodeId, this.connecting.handleId,
+      this.connecting.handleType);
+    if (handleEl) handleEl.dataset.armed = 'true';
+  }
+
+  /**
+   * Keyboard equivalent of clicking a handle: arm it, or complete the armed
+   * connection on it
+   */
+  activateHandle(handleEl) {
+    const nodeEl = handleEl.closest('[data-node-id]');
+    if (!nodeEl) return false;
+
+    if (!this.isArmed()) {
+      const started = this.startConnection(
+        nodeEl.dataset.nodeId,
+        handleEl.dataset.handleId,
+        handleEl.dataset.handleType,
+        handleEl.dataset.handlePosition,
+        null
+      );
+      if (started) this.arm();
+      return started;
+    }
+
+    const target = this.handleTarget(handleEl);
     if (target && this.isValidConnection(this.connecting, target)) {
-      const isSourceHandle = this.connecting.handleType === 'source';
+      this.removePreviewOverlay();
+      this.pushConnect(target);
+      this.connecting = null;
+      this.clearHandleHighlights();
+    } else {
+      this.cancelConnection();
+    }
+    return true;
+  }
+
+  /**
+   * Make handles reachable with Tab in click-to-connect mode, and take that
+   * back when the mode is off. Runs after mount and every patch, since
+   * patches reset the attributes and can switch the mode.
+   */
+  makeHandlesFocusable() {
+    const enabled = this.hook.config.connectOnClick;
+
+    this.hook.nodeLayer?.querySelectorAll('[data-handle-id]').forEach(el => {
+      if (enabled && el.dataset.handleConnectable !== 'false') {
+        el.setAttribute('tabindex', '0');
+        el.setAttribute('role', 'button');
+        el.setAttribute('aria-label', `Connect ${el.dataset.handleType} handle (${el.dataset.handlePosition})`);
+      } else {
+        el.removeAttribute('tabindex');
+        el.removeAttribute('role');
+        el.removeAttribute('aria-label');
+      }
+    });
+  }
+
+  /**
+   * Check if an event happened over empty canvas: inside the flow, but not
+   * over a node or the controls.
+   */
+  isOverPane(event) {
+    const el = document.elementFromPoint(event.clientX, event.clientY);
+    return !!el && this.hook.container.contains(el) &&
+      !el.closest('.lf-node, .lf-controls, .lf-minimap');
+  }
+
+  /**
+   * Ask the app to create a node at the drop point and connect it, after
+   * picking its type when the flow offers `connect_to_pane_types`.
+   */
+  connectToPane(event) {
+    const { nodeId, handleId, handleType } = this.connecting;
+    const [x, y] = this.hook.coords.eventToFlow(event);
+    const payload = {
+      node_id: nodeId,
+      handle_id: handleId,
+      handle_type: handleType,
+      position: { x, y }
+    };
+    this.lastAttempt = handleType === 'target'
+      ? { target: nodeId, target_handle: handleId, x, y }
+      : { source: nodeId, source_handle: handleId, x, y };
+
+    const types = this.hook.config.connectToPaneTypes;
+    if (types.length === 0) {
+      this.hook.pushEvent('lf:connect_to_pane', payload);
+      return;
+    }
+
+    const containerRect = this.hook.container.getBoundingClientRect();
+    this.picker.open(
+      event.clientX - containerRect.left,
+      event.clientY - containerRect.top,
+      types,
+      (nodeType) => this.hook.pushEvent('lf:connect_to_pane', { ...payload, node_type: nodeType }),
+      () => this.hook.pushEvent('lf:connect_cancel', {})
+    );
+  }
+
+  // ===== Edge Reconnection =====
+
+  /**
+   * Start dragging one end of an existing edge. The opposite end stays
+   * attached and becomes the origin of the preview line.
+   */
+  startReconnect(edgeId, end, event) {
+    const group = this.hook.edgeLayer.querySelector(`g[data-edge-id="${edgeId}"]`);
+    if (!group) return false;
+
+    const anchorType = end === 'target' ? 'source' : 'target';
+    const anchorNodeId = group.dataset[anchorType];
+    const anchorHandleId = anchorType === 'source' ? group.dataset.sourceHandle : group.dataset.targetHandle;
+    const handleEl = this.findHandleElement(anchorNodeId, anchorHandleId, anchorType);
+    if (!handleEl) return false;
+
+    const started = this.startConnection(
+      anchorNodeId,
+      handleEl.dataset.handleId,
+      anchorType,
+      handleEl.dataset.handlePosition,
+      event
+    );
+    if (!started) return false;
+
+    this.connecting.reconnect = {
+      edgeId,
+      end,
+      group,
+      deletable: group.dataset.deletable === 'true',
+      old: {
+        source: group.dataset.source,
+        source_handle: group.dataset.sourceHandle || null,
+        target: group.dataset.target,
+        target_handle: group.dataset.targetHandle || null
+      }
+    };
+    group.dataset.reconnecting = 'true';
 
-      this.hook.pushEvent('lf:connect_end', {
+    // Draw the preview up to the grabbed endpoint right away
+    this.moveConnection(event);
+    return true;
+  }
+
+  /**
+   * Finish a reconnect: push the new endpoints, optionally delete the
+   * edge when dropped on empty canvas, or cancel.
+   */
+  endReconnect(target) {
+    const { reconnect } = this.connecting;
+    delete reconnect.group.dataset.reconnecting;
+
+    if (target && this.isValidConnection(this.connecting, target)) {
+      const isSourceHandle = this.connecting.handleType === 'source';
+      const next = {
         source: isSourceHandle ? this.connecting.nodeId : target.nodeId,
         source_handle: isSourceHandle ? this.connecting.handleId : target.handleId,
         target: isSourceHandle ? target.nodeId : this.connecting.nodeId,
         target_handle: isSourceHandle ? target.handleId : this.connecting.handleId
-      });
+      };
+
+      // Edges without explicit handles attach to the node's default handle,
+      // so compare against the handle they're actually drawn to
+      const { old } = reconnect;
+      const oldSourceHandle =
+        this.findHandleElement(old.source, old.source_handle, 'source')?.dataset.handleId ?? old.source_handle;
+      const oldTargetHandle =
+        this.findHandleElement(old.target, old.target_handle, 'target')?.dataset.handleId ?? old.target_handle;
+      const unchanged = next.source === old.source &&
+        next.target === old.target &&
+        next.source_handle === oldSourceHandle &&
+        next.target_handle === oldTargetHandle;
+
+      if (unchanged) {
+        this.hook.pushEvent('lf:connect_cancel', {});
+      } else {
+        this.lastAttempt = { ...next, x: target.x, y: target.y };
+        this.hook.pushEvent('lf:edge_reconnect', {
+          edge_id: reconnect.edgeId,
+          end: reconnect.end,
+          ...next,
+          old: reconnect.old
+        });
+      }
+    } else if (!target && this.hook.config.deleteEdgeOnDrop && reconnect.deletable) {
+      this.hook.pushEdgeChange([{ type: 'remove', id: reconnect.edgeId }]);
     } else {
       this.hook.pushEvent('lf:connect_cancel', {});
     }
+  }
 
-    this.connecting = null;
-    this.clearHandleHighlights();
+  /**
+   * Find a handle element by ID, falling back to the node's first
+   * handle of the given type for edges without explicit handles.
+   */
+  findHandleElement(nodeId, handleId, handleType) {
+    const nodeEl = this.hook.nodeLayer.querySelector(`.lf-node[data-node-id="${nodeId}"]`);
+    if (!nodeEl) return null;
+
+    return (handleId && nodeEl.querySelector(`[data-handle-id="${handleId}"]`)) ||
+      nodeEl.querySelector(`[data-handle-type="${handleType}"]`);
   }
 
   // ===== SVG Preview Overlay =====
@@ -132,7 +499,7 @@ export class ConnectionManager {
     this.previewSvg = svg;
   }
 
-  updatePreviewLine(toX, toY) {
+  updatePreviewLine(toX, toY, toPosition) {
     if (!this.previewSvg || !this.connecting) return;
 
     const g = this.previewSvg.querySelector('g');
@@ -144,7 +511,7 @@ export class ConnectionManager {
     g.setAttribute('transform', `translate(${x}, ${y}) scale(${zoom})`);
 
     const { startX, startY, handlePosition } = this.connecting;
-    const d = calculateBezierPath(startX, startY, handlePosition, toX, toY);
+    const d = calculateEdgePath(this.hook.config.connectionLineType, startX, startY, handlePosition, toX, toY, toPosition);
     pathEl.setAttribute('d', d);
   }
 
@@ -153,38 +520,161 @@ export class ConnectionManager {
       this.previewSvg.remove();
       this.previewSvg = null;
     }
+    this.removeTooltip();
   }
 
   // ===== Target Detection =====
 
+  /**
+   * Find the handle a connection dropped at the pointer would attach to:
+   * the handle under the pointer, else the nearest valid handle within
+   * the connection radius, else the closest valid handle of the node under
+   * the pointer.
+   */
   findTargetHandle(event) {
     const elements = document.elementsFromPoint(event.clientX, event.clientY);
+    let bodyNodeEl = null;
 
     for (const el of elements) {
-      if (el.dataset.handleId && el.dataset.handleConnectable !== 'false') {
-        const nodeEl = el.closest('[data-node-id]');
-        if (nodeEl && nodeEl.dataset.nodeId !== this.connecting.nodeId) {
-          return {
-            nodeId: nodeEl.dataset.nodeId,
-            handleId: el.dataset.handleId,
-            handleType: el.dataset.handleType,
-            handlePosition: el.dataset.handlePosition,
-            connectType: el.dataset.handleConnectType || null
-          };
-        }
+      if (el.dataset.handleId) {
+        const target = this.handleTarget(el);
+        if (target) return target;
+      }
+      if (!bodyNodeEl && el.classList.contains('lf-node')) {
+        bodyNodeEl = el;
       }
     }
-    return null;
+
+    return this.nearestValidHandle(this.hook.container, event, this.hook.config.connectionRadius) ||
+      (bodyNodeEl && this.nearestValidHandle(bodyNodeEl, event, Infinity));
+  }
+
+  /**
+   * Describe a handle element as a connection target, or null if it
+   * can't be connected to.
+   */
+  handleTarget(el, center = null) {
+    if (el.dataset.handleConnectable === 'false') return null;
+
+    const nodeEl = el.closest('[data-node-id]');
+    if (!nodeEl || !this.canConnectToNode(nodeEl.dataset.nodeId, el.dataset.handleId)) return null;
+
+    const [x, y] = center || this.handleCenter(el);
+    return {
+      nodeId: nodeEl.dataset.nodeId,
+      handleId: el.dataset.handleId,
+      handleType: el.dataset.handleType,
+      handlePosition: el.dataset.handlePosition,
+      connectType: el.dataset.handleConnectType || null,
+      x,
+      y
+    };
+  }
+
+  /**
+   * Flow-space centres of every handle, read once when a connection starts
+   * so pointer moves don't measure each handle (and force a layout) again
+   */
+  cacheHandleCenters() {
+    return Array.from(this.hook.nodeLayer.querySelectorAll('[data-handle-id]'), el => {
+      const [x, y] = this.handleCenter(el);
+      return { el, x, y };
+    });
+  }
+
+  /**
+   * Find the valid handle inside `root` closest to the pointer, at most
+   * `radius` screen pixels away.
+   */
+  nearestValidHandle(root, event, radius) {
+    if (!(radius > 0)) return null;
+
+    const [pointerX, pointerY] = this.hook.coords.eventToFlow(event);
+    const { zoom } = this.hook.viewport;
+    let best = null;
+    let bestDistance = radius;
+    this.connecting.handles.forEach(({ el, x, y }) => {
+      if (!el.isConnected || !root.contains(el)) return;
+      const distance = Math.hypot(x - pointerX, y - pointerY) * zoom;
+      if (distance > bestDistance) return;
+
+      const target = this.handleTarget(el, [x, y]);
+      if (target && this.isValidConnection(this.connecting, target)) {
+        best = target;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Get the center of a handle element in flow coordinates.
+   */
+  handleCenter(handleEl) {
+    const rect = handleEl.getBoundingClientRect();
+    const containerRect = this.hook.container.getBoundingClientRect();
+    return this.hook.coords.screenToFlow(
+      rect.left + rect.width / 2 - containerRect.left,
+      rect.top + rect.height / 2 - containerRect.top
+    );
+  }
+
+  /**
+   * Handles on the connecting node are only targets when self-loops are
+   * allowed, and never the handle the connection started from.
+   */
+  canConnectToNode(nodeId, handleId) {
+    if (nodeId !== this.connecting.nodeId) return true;
+    return this.hook.config.allowSelfLoops && handleId !== this.connecting.handleId;
   }
 
   isValidConnection(source, target) {
-    if (source.nodeId === target.nodeId) return false;
-    if (source.handleType === target.handleType) return false;
+    return this.connectionError(source, target) === null;
+  }
+
+  /**
+   * Why a connection from `source` to `target` isn't allowed, or null if
+   * it is. `connection_validators` run against `edges`, which defaults to
+   * the current connection's edges.
+   */
+  connectionError(source, target, edges = null) {
+    if (source.nodeId === target.nodeId && !this.hook.config.allowSelfLoops) {
+      return 'Cannot connect a node to itself';
+    }
+    if (source.handleType === target.handleType) {
+      return `Cannot connect two ${target.handleType} handles`;
+    }
     // Client-side type hint: if both handles have a connect_type, they must match
     if (source.connectType && target.connectType && source.connectType !== target.connectType) {
-      return false;
+      return `Incompatible types: ${source.connectType} → ${target.connectType}`;
     }
-    return true;
+
+    const validators = this.hook.config.connectionValidators;
+    const graph = edges || (source === this.connecting ? this.validationEdges() : null);
+    if (validators.length === 0 || !graph) return null;
+
+    const [from, to] = source.handleType === 'source' ? [source, target] : [target, source];
+    return validateConnection(validators, graph, {
+      source: from.nodeId,
+      target: to.nodeId,
+      sourceHandle: from.handleId,
+      targetHandle: to.handleId,
+      sourceType: from.connectType,
+      targetType: to.connectType
+    });
+  }
+
+  /**
+   * The edges to validate against, read once per connection. A reconnected
+   * edge is left out, as on the server.
+   */
+  validationEdges() {
+    if (!this.connecting.edges) {
+      const edgeId = this.connecting.reconnect?.edgeId;
+      this.connecting.edges = readEdges(this.hook.edgeLayer)
+        .filter(edge => edge.id !== edgeId);
+    }
+    return this.connecting.edges;
   }
 
   isTypeCompatible(source, target) {
@@ -192,32 +682,76 @@ export class ConnectionManager {
     return source.connectType === target.connectType;
   }
 
+  /**
+   * Highlight the handle the connection would attach to, and return it.
+   */
   checkHandleHover(event) {
     const target = this.findTargetHandle(event);
     this.clearHandleHighlights();
 
+    let reason = null;
     if (target) {
+      reason = this.connectionError(this.connecting, target);
       const handleEl = this.hook.container.querySelector(
         `[data-node-id="${target.nodeId}"] [data-handle-id="${target.handleId}"]`
       );
       if (handleEl) {
-        if (this.isValidConnection(this.connecting, target)) {
-          handleEl.dataset.connecting = 'valid';
-        } else {
-          handleEl.dataset.connecting = 'invalid';
-        }
+        handleEl.dataset.connecting = reason === null ? 'valid' : 'invalid';
       }
     }
+    this.updateTooltip(reason, event);
+    return target;
+  }
+
+  /**
+   * Show why the hovered target is invalid next to the pointer, or hide
+   * the tooltip when `reason` is null. Like the preview, it lives outside
+   * the LiveView-managed DOM.
+   */
+  updateTooltip(reason, event) {
+    if (!reason) {
+      this.removeTooltip();
+      return;
+    }
+
+    if (!this.tooltip) {
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'lf-connection-tooltip';
+      this.tooltip.setAttribute('role', 'status');
+      this.hook.container.appendChild(this.tooltip);
+    }
+    this.tooltip.textContent = reason;
+
+    const rect = this.hook.container.getBoundingClientRect();
+    this.tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+    this.tooltip.style.top = `${event.clientY - rect.top + 16}px`;
+  }
+
+  removeTooltip() {
+    if (this.tooltip) {
+      this.tooltip.remove();
+      this.tooltip = null;
+    }
   }
 
   clearHandleHighlights() {
     this.hook.container.querySelectorAll('[data-connecting]').forEach(el => {
       delete el.dataset.connecting;
     });
+    if (!this.isArmed()) {
+      this.hook.container.querySelectorAll('[data-armed]').forEach(el => {
+        delete el.dataset.armed;
+      });
+    }
   }
 
   destroy() {
+    this.picker.destroy();
+    this.clearRejection();
     this.removePreviewOverlay();
+    if (this.connecting?.reconnect) {
+      delete this.connecting.reconnect.group.dataset.reconnecting;
+    }
     this.connecting = null;
     this.clearHandleHighlights();
   }
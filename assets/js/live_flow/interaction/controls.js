@@ -0,0 +1,147 @@
+/**
+ * Controls manager for LiveFlow
+ *
+ * Handles the `.lf-controls` buttons in the browser, so zooming and fitting
+ * start on click instead of after a server round-trip; PanZoomManager syncs
+ * the viewport once the animation ends. The zoom buttons are disabled at
+ * the zoom limits, and the lock button makes the graph read-only for this
+ * client: no node dragging or nudging, connecting or reconnecting, resizing
+ * or waypoint editing. Panning, zooming and selecting still work.
+ *
+ * The buttons are server-rendered, so the state set here is re-applied
+ * after every patch.
+ */
+
+const ZOOM_STEP = 1.2;
+const ZOOM_DURATION = 200;
+// Zoom limits reached by easing land within rounding error of the limit
+const ZOOM_EPSILON = 1e-3;
+
+export class ControlsManager {
+  constructor(hook) {
+    this.hook = hook;
+    this.el = null;
+    this.locked = false;
+    // Config values to restore when unlocked
+    this.unlockedConfig = null;
+
+    this.onClick = this.onClick.bind(this);
+    this.stopPropagation = (e) => e.stopPropagation();
+  }
+
+  /**
+   * Attach to the controls panel as the `controls` option comes and goes,
+   * then re-apply button state
+   */
+  sync() {
+    const el = this.hook.el.querySelector('.lf-controls');
+    if (el !== this.el) {
+      this.detach();
+      this.el = el;
+      if (el) {
+        el.addEventListener('click', this.onClick);
+        // Keep the canvas from clearing the selection or starting a pan
+        el.addEventListener('mousedown', this.stopPropagation);
+        el.addEventListener('touchstart', this.stopPropagation);
+        el.addEventListener('dblclick', this.stopPropagation);
+      }
+    }
+    this.update();
+  }
+
+  detach() {
+    if (!this.el) return;
+    this.el.removeEventListener('click', this.onClick);
+    this.el.removeEventListener('mousedown', this.stopPropagation);
+    this.el.removeEventListener('touchstart', this.stopPropagation);
+    this.el.removeEventListener('dblclick', this.stopPropagation);
+    this.el = null;
+  }
+
+  button(control) {
+    return this.el?.querySelector(`[data-lf-control="${control}"]`);
+  }
+
+  /**
+   * Reflect the zoom level and lock state on the buttons
+   */
+  update() {
+    this.hook.el.toggleAttribute('data-locked', this.locked);
+    if (!this.el) return;
+
+    const { zoom } = this.hook.viewport;
+    const { minZoom, maxZoom } = this.hook.config;
+    const zoomIn = this.button('zoom_in');
+    const zoomOut = this.button('zoom_out');
+    if (zoomIn) zoomIn.disabled = zoom >= maxZoom - ZOOM_EPSILON;
+    if (zoomOut) zoomOut.disabled = zoom <= minZoom + ZOOM_EPSILON;
+
+    const lock = this.button('lock');
+    if (lock) {
+      lock.setAttribute('aria-pressed', String(this.locked));
+      lock.title = this.locked ? 'Unlock' : 'Lock';
+    }
+  }
+
+  onClick(event) {
+    const button = event.target.closest('[data-lf-control]');
+    if (!button || button.disabled) return;
+
+    const { panZoom, viewport } = this.hook;
+    switch (button.dataset.lfControl) {
+      case 'zoom_in':
+        panZoom.zoomTo(viewport.zoom * ZOOM_STEP, ZOOM_DURATION);
+        break;
+      case 'zoom_out':
+        panZoom.zoomTo(viewport.zoom / ZOOM_STEP, ZOOM_DURATION);
+        break;
+      case 'fit_view':
+        panZoom.fitView(0.1, ZOOM_DURATION);
+        break;
+      case 'lock':
+        this.setLocked(!this.locked);
+        break;
+      case 'layout':
+        this.hook.el.dispatchEvent(new CustomEvent('lf:auto-layout'));
+        break;
+      case 'export':
+        this.hook.el.dispatchEvent(new CustomEvent('lf:export-svg'));
+        break;
+    }
+  }
+
+  /**
+   * Turn node dragging and connecting off (locked) or back to what the
+   * flow's options allow. NodeResizeManager and EdgeWaypointManager check
+   * `locked` themselves. Dispatches `lf:lock-change` on the container.
+   *
+   * @param {boolean} locked
+   */
+  setLocked(locked) {
+    if (locked === this.locked) return;
+
+    const { config } = this.hook;
+    if (locked) {
+      this.unlockedConfig = {
+        nodesDraggable: config.nodesDraggable,
+        nodesConnectable: config.nodesConnectable
+      };
+      config.nodesDraggable = false;
+      config.nodesConnectable = false;
+    } else {
+      Object.assign(config, this.unlockedConfig);
+      this.unlockedConfig = null;
+    }
+    this.locked = locked;
+    this.update();
+
+    this.hook.el.dispatchEvent(new CustomEvent('lf:lock-change', {
+      bubbles: true,
+      detail: { locked }
+    }));
+  }
+
+  destroy() {
+    this.detach();
+  }
+}
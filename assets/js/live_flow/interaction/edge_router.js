@@ -0,0 +1,215 @@
+/**
+ * Edge router manager for LiveFlow
+ *
+ * Routed edges (type `routed`, or `path_options.route: true` on step and
+ * smoothstep edges) are drawn
+ * orthogonally around node boxes.  The server renders them as plain
+ * smoothstep paths; the client replaces those with routed ones.
+ *
+ * Routing is queued and done in slices of FRAME_BUDGET_MS per animation
+ * frame, so dragging in a 100+ node flow stays smooth: edges attached to
+ * the moving nodes go first, the rest catch up over the next frames.
+ * Routes are cached per edge and only recomputed when the edge's endpoints
+ * change or a node box near the route moves: one overlapping the endpoints'
+ * bounding box, or (transitively) one of the boxes the route goes around,
+ * within NEARBY px. Node sizes come from the hook's measurements, so
+ * collecting obstacles doesn't force a layout every frame.
+ */
+
+import { calculateRoutedPath, getEdgePathOptions, isRoutedEdge } from '../utils/paths.js';
+import { positionEdgeLabels } from '../utils/edge_labels.js';
+
+const FRAME_BUDGET_MS = 8;
+// Extra distance (flow px) beyond route_margin at which a node counts as
+// near a route
+const NEARBY = 30;
+
+export class EdgeRouterManager {
+  constructor(hook) {
+    this.hook = hook;
+    // Edge ids waiting to be routed, in priority order
+    this.pending = new Set();
+    this.frame = null;
+    // edgeId -> { key, d } of the last computed route
+    this.routes = new Map();
+  }
+
+  /**
+   * Check if an edge group is routed around nodes. Self-loops always keep
+   * their loop shape.
+   */
+  isRouted(g) {
+    if (g.dataset.source === g.dataset.target) return false;
+    return isRoutedEdge(g.dataset.edgeType, getEdgePathOptions(g));
+  }
+
+  routedEdgeGroups() {
+    const groups = this.hook.edgeLayer?.querySelectorAll('g[data-edge-id]') || [];
+    return Array.from(groups).filter(g => this.isRouted(g));
+  }
+
+  /**
+   * Queue routed edges for routing. The given edge ids go first, followed
+   * by every other routed edge, since a moved node may now block (or
+   * unblock) any route.
+   */
+  schedule(priorityEdgeIds = []) {
+    const all = this.routedEdgeGroups().map(g => g.dataset.edgeId);
+    if (all.length === 0) return;
+
+    const routed = new Set(all);
+    this.routes.forEach((_route, edgeId) => {
+      if (!routed.has(edgeId)) this.routes.delete(edgeId);
+    });
+
+    const priority = priorityEdgeIds.filter(id => routed.has(id));
+    this.pending = new Set([...priority, ...this.pending, ...all]);
+
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  /**
+   * Route queued edges until this frame's budget is used up
+   */
+  flush() {
+    this.frame = null;
+    const started = performance.now();
+    const obstacles = this.collectObstacles();
+
+    for (const edgeId of this.pending) {
+      if (performance.now() - started > FRAME_BUDGET_MS) break;
+      this.pending.delete(edgeId);
+
+      const g = this.hook.edgeLayer?.querySelector(`g[data-edge-id="${edgeId}"]`);
+      if (g && this.isRouted(g)) {
+        this.routeEdge(g, obstacles);
+      }
+    }
+
+    if (this.pending.size > 0) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  /**
+   * Current node boxes, using client-side positions for dragged nodes and
+   * measured sizes (only nodes being resized or not yet measured are read
+   * from the DOM). Group nodes contain other nodes, so they are never
+   * obstacles.
+   */
+  collectObstacles() {
+    const nodeEls = this.hook.nodeLayer?.querySelectorAll('.lf-node[data-node-id]') || [];
+    const measured = this.hook._measuredNodes;
+    const obstacles = [];
+
+    nodeEls.forEach(el => {
+      if (el.dataset.nodeType === 'group') return;
+      const nodeId = el.dataset.nodeId;
+      const clientPos = this.hook.nodeDrag.clientPositions.get(nodeId);
+      const size = el.dataset.resizing !== 'true' && measured?.get(nodeId);
+      obstacles.push({
+        x: clientPos ? clientPos.x : (parseFloat(el.style.left) || 0),
+        y: clientPos ? clientPos.y : (parseFloat(el.style.top) || 0),
+        width: size ? size.w : (el.offsetWidth || 100),
+        height: size ? size.h : (el.offsetHeight || 40)
+      });
+    });
+    return obstacles;
+  }
+
+  /**
+   * Obstacles that can affect a route between two points: those within
+   * `pad` of the endpoints' bounding box, then those within `pad` of any
+   * obstacle already found, since the route may detour around it
+   */
+  nearbyObstacles(source, target, obstacles, pad) {
+    let minX = Math.min(source.x, target.x) - pad;
+    let minY = Math.min(source.y, target.y) - pad;
+    let maxX = Math.max(source.x, target.x) + pad;
+    let maxY = Math.max(source.y, target.y) + pad;
+
+    const near = [];
+    let rest = obstacles;
+    let grown = true;
+    while (grown) {
+      grown = false;
+      const outside = [];
+      rest.forEach(o => {
+        if (o.x <= maxX && o.x + o.width >= minX && o.y <= maxY && o.y + o.height >= minY) {
+          near.push(o);
+          minX = Math.min(minX, o.x - pad);
+          minY = Math.min(minY, o.y - pad);
+          maxX = Math.max(maxX, o.x + o.width + pad);
+          maxY = Math.max(maxY, o.y + o.height + pad);
+          grown = true;
+        } else {
+          outside.push(o);
+        }
+      });
+      rest = outside;
+    }
+    return near;
+  }
+
+  /**
+   * Route one edge and write the path, reusing the cached route if
+   * nothing it depends on has changed
+   */
+  routeEdge(g, obstacles) {
+    const ends = this.hook._getEdgeEndpoints(g);
+    if (!ends) return;
+
+    const { source, target } = ends;
+    const options = getEdgePathOptions(g);
+    const near = this.nearbyObstacles(source, target, obstacles, (options.route_margin ?? 10) + NEARBY);
+    const key = [
+      near.map(o => `${o.x},${o.y},${o.width},${o.height}`).join(';'),
+      g.dataset.edgeType,
+      g.dataset.pathOptions,
+      source.x, source.y, source.position,
+      target.x, target.y, target.position
+    ].join('|');
+
+    const edgeId = g.dataset.edgeId;
+    let route = this.routes.get(edgeId);
+    if (!route || route.key !== key) {
+      const d = calculateRoutedPath(
+        g.dataset.edgeType,
+        source.x, source.y, source.position,
+        target.x, target.y, target.position,
+        obstacles,
+        options
+      );
+      route = { key, d };
+      this.routes.set(edgeId, route);
+    }
+
+    this.applyPath(g, route.d);
+  }
+
+  applyPath(g, d) {
+    g.querySelectorAll('path').forEach(p => p.setAttribute('d', d));
+    positionEdgeLabels(g);
+  }
+
+  /**
+   * Re-apply cached routes after a LiveView DOM patch, which resets routed
+   * edges to the server's smoothstep path. Called from the hook's updated()
+   * callback so the patch never paints an unrouted edge.
+   */
+  reapplyRoutes() {
+    this.routedEdgeGroups().forEach(g => {
+      const route = this.routes.get(g.dataset.edgeId);
+      if (route) this.applyPath(g, route.d);
+    });
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.pending.clear();
+    this.routes.clear();
+  }
+}
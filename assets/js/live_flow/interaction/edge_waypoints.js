@@ -0,0 +1,197 @@
+/**
+ * Edge waypoint manager for LiveFlow
+ *
+ * Waypoints are points an edge is routed through, stored in the edge's
+ * `path_options.waypoints`.  Selected edges render a `.lf-edge-waypoint`
+ * circle per waypoint.  Double-clicking a selected edge adds a waypoint on
+ * the nearest segment, dragging a circle moves it and double-clicking a
+ * circle removes it.  Every edit is sent as a single `waypoints` edge change.
+ * None of this works while the controls' lock is on.
+ */
+
+import { getEdgePathOptions } from '../utils/paths.js';
+
+export class EdgeWaypointManager {
+  constructor(hook) {
+    this.hook = hook;
+    // Active drag: { edgeId, index, waypoints, startMouseX, startMouseY,
+    //                startX, startY, moved }
+    this.dragging = null;
+  }
+
+  /**
+   * Check if we're currently dragging a waypoint
+   */
+  isDragging() {
+    return this.dragging !== null;
+  }
+
+  getEdgeGroup(edgeId) {
+    return this.hook.edgeLayer?.querySelector(`g[data-edge-id="${edgeId}"]`);
+  }
+
+  getWaypoints(edgeGroup) {
+    const waypoints = getEdgePathOptions(edgeGroup).waypoints;
+    return Array.isArray(waypoints) ? waypoints.map(p => ({ x: p.x, y: p.y })) : [];
+  }
+
+  /**
+   * Start dragging one of an edge's waypoints
+   */
+  startDrag(edgeId, index, event) {
+    if (this.hook.controls.locked) return false;
+    const g = this.getEdgeGroup(edgeId);
+    if (!g) return false;
+
+    const waypoints = this.getWaypoints(g);
+    const point = waypoints[index];
+    if (!point) return false;
+
+    const [flowX, flowY] = this.hook.coords.eventToFlow(event);
+    this.dragging = {
+      edgeId,
+      index,
+      waypoints,
+      startMouseX: flowX,
+      startMouseY: flowY,
+      startX: point.x,
+      startY: point.y,
+      moved: false
+    };
+    return true;
+  }
+
+  /**
+   * Handle waypoint movement — the edge path is redrawn client-side
+   */
+  moveDrag(event) {
+    if (!this.dragging) return;
+
+    const d = this.dragging;
+    const [flowX, flowY] = this.hook.coords.eventToFlow(event);
+    const point = this.snap({
+      x: d.startX + flowX - d.startMouseX,
+      y: d.startY + flowY - d.startMouseY
+    });
+
+    d.waypoints[d.index] = point;
+    d.moved = d.moved || point.x !== d.startX || point.y !== d.startY;
+    this.applyWaypoints();
+  }
+
+  /**
+   * Write the dragged waypoints to the edge group, its path and circles
+   */
+  applyWaypoints() {
+    if (!this.dragging) return;
+
+    const { edgeId, waypoints } = this.dragging;
+    const g = this.getEdgeGroup(edgeId);
+    if (!g) return;
+
+    // The parallel offset comes from data-parallel-offset, not the edge's options
+    const { parallel_offset: _parallelOffset, ...options } = getEdgePathOptions(g);
+    g.dataset.pathOptions = JSON.stringify({ ...options, waypoints });
+    g.querySelectorAll('.lf-edge-waypoint').forEach(circle => {
+      const point = waypoints[parseInt(circle.dataset.waypointIndex, 10)];
+      if (!point) return;
+      circle.setAttribute('cx', point.x);
+      circle.setAttribute('cy', point.y);
+    });
+    this.hook._updateEdgePath(g);
+  }
+
+  /**
+   * Re-apply the dragged waypoint after a LiveView DOM patch.
+   * Called from the hook's updated() callback to prevent jitter.
+   */
+  reapplyWaypoints() {
+    this.applyWaypoints();
+  }
+
+  /**
+   * End dragging — send the new waypoints to the server if one moved
+   */
+  endDrag() {
+    if (!this.dragging) return;
+
+    const { edgeId, waypoints, moved } = this.dragging;
+    this.dragging = null;
+
+    if (moved) {
+      this.pushWaypoints(edgeId, waypoints);
+    }
+  }
+
+  /**
+   * Add a waypoint on the segment of a selected edge nearest to the event
+   */
+  insertWaypoint(edgeId, event) {
+    if (this.hook.controls.locked) return false;
+    const g = this.getEdgeGroup(edgeId);
+    const ends = g && this.hook._getEdgeEndpoints(g);
+    if (!ends) return false;
+
+    const [flowX, flowY] = this.hook.coords.eventToFlow(event);
+    const waypoints = this.getWaypoints(g);
+    const points = [ends.source, ...waypoints, ends.target];
+
+    // Waypoint i sits between points[i] and points[i + 1]
+    let index = 0;
+    let best = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+      const dist = distanceToSegment(flowX, flowY, points[i], points[i + 1]);
+      if (dist < best) {
+        best = dist;
+        index = i;
+      }
+    }
+
+    waypoints.splice(index, 0, this.snap({ x: flowX, y: flowY }));
+    this.pushWaypoints(edgeId, waypoints);
+    return true;
+  }
+
+  /**
+   * Remove one of an edge's waypoints
+   */
+  removeWaypoint(edgeId, index) {
+    if (this.hook.controls.locked) return false;
+    const g = this.getEdgeGroup(edgeId);
+    if (!g) return false;
+
+    const waypoints = this.getWaypoints(g);
+    if (!waypoints[index]) return false;
+
+    waypoints.splice(index, 1);
+    this.pushWaypoints(edgeId, waypoints);
+    return true;
+  }
+
+  snap(point) {
+    const { snapToGrid, snapGridX, snapGridY } = this.hook.config;
+    if (!snapToGrid) return point;
+    return {
+      x: Math.round(point.x / snapGridX) * snapGridX,
+      y: Math.round(point.y / snapGridY) * snapGridY
+    };
+  }
+
+  pushWaypoints(edgeId, waypoints) {
+    this.hook.pushEdgeChange([{ type: 'waypoints', id: edgeId, waypoints }]);
+  }
+
+  destroy() {
+    this.dragging = null;
+  }
+}
+
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq));
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
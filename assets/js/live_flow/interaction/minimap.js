@@ -0,0 +1,240 @@
+/**
+ * Minimap manager for LiveFlow
+ *
+ * The server renders an empty `.lf-minimap` (phx-update="ignore") and the
+ * hook draws it, so node boxes and the viewport rectangle follow client-side
+ * pans, zooms, local drags and remote drags without waiting for a patch.
+ * Redraws are coalesced into one per animation frame.
+ *
+ * Clicking the minimap centres the viewport there, dragging pans, and the
+ * wheel zooms around the viewport's centre, all through PanZoomManager.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Empty space around the content, as a fraction of its size
+const PADDING = 0.1;
+
+export class MinimapManager {
+  constructor(hook, el) {
+    this.hook = hook;
+    this.el = el;
+    this.frame = null;
+    this.dragging = null; // { pointerId }
+    // Flow-space rectangle shown by the minimap, and its scale
+    this.view = null; // { x, y, width, height, scale }
+
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.setAttribute('class', 'lf-minimap-svg');
+    this.svg.setAttribute('width', '100%');
+    this.svg.setAttribute('height', '100%');
+    this.nodesGroup = document.createElementNS(SVG_NS, 'g');
+    this.mask = document.createElementNS(SVG_NS, 'path');
+    this.mask.setAttribute('class', 'lf-minimap-mask');
+    this.mask.setAttribute('fill-rule', 'evenodd');
+    this.viewportRect = document.createElementNS(SVG_NS, 'rect');
+    this.viewportRect.setAttribute('class', 'lf-minimap-viewport');
+    this.svg.append(this.nodesGroup, this.mask, this.viewportRect);
+    this.el.replaceChildren(this.svg);
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.stopPropagation = (e) => e.stopPropagation();
+
+    this.el.addEventListener('pointerdown', this.onPointerDown);
+    this.el.addEventListener('pointermove', this.onPointerMove);
+    this.el.addEventListener('pointerup', this.onPointerUp);
+    this.el.addEventListener('pointercancel', this.onPointerUp);
+    this.el.addEventListener('wheel', this.onWheel, { passive: false });
+    // Keep the canvas from starting a pan, selection or touch gesture
+    this.el.addEventListener('mousedown', this.stopPropagation);
+    this.el.addEventListener('touchstart', this.stopPropagation);
+    this.el.addEventListener('dblclick', this.stopPropagation);
+
+    this.render();
+  }
+
+  /**
+   * Redraw on the next animation frame
+   */
+  schedule() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Visible part of the flow, in flow coordinates
+   */
+  visibleRect() {
+    const { x, y, zoom } = this.hook.viewport;
+    const { width, height } = this.hook.containerRect || this.hook.container.getBoundingClientRect();
+    return { x: -x / zoom, y: -y / zoom, width: width / zoom, height: height / zoom };
+  }
+
+  render() {
+    const colors = this.hook.config.minimapNodeColors;
+    const nodes = [];
+    this.hook.nodeLayer?.querySelectorAll('.lf-node[data-node-id]').forEach(el => {
+      nodes.push({
+        id: el.dataset.nodeId,
+        type: el.dataset.nodeType,
+        x: parseFloat(el.style.left) || 0,
+        y: parseFloat(el.style.top) || 0,
+        width: el.offsetWidth || 100,
+        height: el.offsetHeight || 40
+      });
+    });
+
+    // Frame the content and the visible area together
+    const visible = this.visibleRect();
+    let minX = visible.x;
+    let minY = visible.y;
+    let maxX = visible.x + visible.width;
+    let maxY = visible.y + visible.height;
+    nodes.forEach(n => {
+      minX = Math.min(minX, n.x);
+      minY = Math.min(minY, n.y);
+      maxX = Math.max(maxX, n.x + n.width);
+      maxY = Math.max(maxY, n.y + n.height);
+    });
+
+    const mapWidth = this.el.clientWidth || 200;
+    const mapHeight = this.el.clientHeight || 150;
+    const padX = (maxX - minX) * PADDING;
+    const padY = (maxY - minY) * PADDING;
+    const scale = Math.min(mapWidth / (maxX - minX + padX * 2), mapHeight / (maxY - minY + padY * 2));
+    const width = mapWidth / scale;
+    const height = mapHeight / scale;
+    const x = (minX + maxX) / 2 - width / 2;
+    const y = (minY + maxY) / 2 - height / 2;
+    this.view = { x, y, width, height, scale };
+    this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+    // Reuse rects by node ID so the DOM isn't rebuilt every frame
+    const existing = new Map();
+    this.nodesGroup.querySelectorAll('rect').forEach(rect => existing.set(rect.dataset.nodeId, rect));
+    nodes.forEach(n => {
+      let rect = existing.get(n.id);
+      if (rect) {
+        existing.delete(n.id);
+      } else {
+        rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('class', 'lf-minimap-node');
+        rect.dataset.nodeId = n.id;
+        this.nodesGroup.appendChild(rect);
+      }
+      rect.setAttribute('x', n.x);
+      rect.setAttribute('y', n.y);
+      rect.setAttribute('width', n.width);
+      rect.setAttribute('height', n.height);
+      rect.setAttribute('rx', 4 / scale);
+      rect.dataset.nodeType = n.type || '';
+      if (this.hook.selectedNodes.has(n.id)) rect.dataset.selected = 'true';
+      else delete rect.dataset.selected;
+      const color = colors[n.type];
+      if (color) rect.style.fill = color;
+      else rect.style.removeProperty('fill');
+    });
+    existing.forEach(rect => rect.remove());
+
+    // Dim everything outside the visible area
+    this.mask.setAttribute('d',
+      `M ${x},${y} h ${width} v ${height} h ${-width} z ` +
+      `M ${visible.x},${visible.y} h ${visible.width} v ${visible.height} h ${-visible.width} z`
+    );
+    this.viewportRect.setAttribute('x', visible.x);
+    this.viewportRect.setAttribute('y', visible.y);
+    this.viewportRect.setAttribute('width', visible.width);
+    this.viewportRect.setAttribute('height', visible.height);
+    this.viewportRect.setAttribute('stroke-width', 2 / scale);
+  }
+
+  /**
+   * Convert a pointer event to flow coordinates
+   */
+  eventToFlow(event) {
+    const rect = this.el.getBoundingClientRect();
+    const { x, y, scale } = this.view;
+    return [x + (event.clientX - rect.left) / scale, y + (event.clientY - rect.top) / scale];
+  }
+
+  /**
+   * Move the viewport so the flow point (fx, fy) is at the centre of the
+   * container
+   */
+  centerOn(fx, fy) {
+    const { zoom } = this.hook.viewport;
+    const { width, height } = this.hook.containerRect;
+    this.hook.viewport = { x: width / 2 - fx * zoom, y: height / 2 - fy * zoom, zoom };
+    this.hook.applyViewportTransform();
+    this.hook.panZoom.throttledPushViewport();
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0 || !this.view) return;
+    event.preventDefault();
+    event.stopPropagation();
+    // onPointerUp pushes the viewport
+    this.hook.panZoom.stopMotion({ push: false });
+
+    // Grabbing the viewport rectangle keeps the grab point under the pointer;
+    // anywhere else jumps there first
+    const [fx, fy] = this.eventToFlow(event);
+    const visible = this.visibleRect();
+    const inside = fx >= visible.x && fx <= visible.x + visible.width &&
+      fy >= visible.y && fy <= visible.y + visible.height;
+    const offsetX = inside ? fx - (visible.x + visible.width / 2) : 0;
+    const offsetY = inside ? fy - (visible.y + visible.height / 2) : 0;
+    if (!inside) this.centerOn(fx, fy);
+
+    this.dragging = { pointerId: event.pointerId, offsetX, offsetY, view: { ...this.view } };
+    this.el.setPointerCapture?.(event.pointerId);
+    this.el.dataset.dragging = 'true';
+  }
+
+  onPointerMove(event) {
+    if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+
+    // Map through the view at drag start, so the minimap doesn't shift under the pointer
+    const rect = this.el.getBoundingClientRect();
+    const { x, y, scale } = this.dragging.view;
+    const fx = x + (event.clientX - rect.left) / scale;
+    const fy = y + (event.clientY - rect.top) / scale;
+    this.centerOn(fx - this.dragging.offsetX, fy - this.dragging.offsetY);
+  }
+
+  onPointerUp(event) {
+    if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+
+    this.el.releasePointerCapture?.(event.pointerId);
+    this.dragging = null;
+    delete this.el.dataset.dragging;
+    this.hook.pushViewportChange();
+  }
+
+  onWheel(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const { width, height } = this.hook.containerRect;
+    const { panZoom } = this.hook;
+    panZoom.zoom(panZoom.wheelDelta(event).y, width / 2, height / 2);
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.el.removeEventListener('pointerdown', this.onPointerDown);
+    this.el.removeEventListener('pointermove', this.onPointerMove);
+    this.el.removeEventListener('pointerup', this.onPointerUp);
+    this.el.removeEventListener('pointercancel', this.onPointerUp);
+    this.el.removeEventListener('wheel', this.onWheel);
+    this.el.removeEventListener('mousedown', this.stopPropagation);
+    this.el.removeEventListener('touchstart', this.stopPropagation);
+    this.el.removeEventListener('dblclick', this.stopPropagation);
+  }
+}
@@ -5,17 +5,51 @@
  * for zero-latency feedback.  Only the final position is pushed to the
  * server in endDrag().  After each server DOM patch we re-apply the
  * client-side positions so nodes never "jump back".
+ *
+ * Children (`data-parent-id`) move along with their dragged parent, nodes
+ * with an extent are clamped to it, and dropping a node into or out of a
+ * group node pushes a `reparent` change.
+ *
+ * With `proximity_connect`, dragging a node near a compatible handle of
+ * another node previews a dashed edge between the closest pair of handles,
+ * and dropping it there connects them with `lf:connect_end`.
+ *
+ * With `splice_edges`, a single node with both source and target handles
+ * dropped onto an edge pushes `lf:splice_into_edge`, so the server can turn
+ * A→B into A→N→B.
+ *
+ * Arrow keys nudge the selected nodes through the same path (nudge()). A
+ * burst of presses is one drag, with one start snapshot and one final push,
+ * so the server records it as a single undo step.
  */
-import { calculateBezierPath } from '../utils/paths.js';
+import { calculateEdgePath, calculateSelfLoopPath, getEdgePathOptions, isRoutedEdge } from '../utils/paths.js';
+import { calculateFloatingEndpoints, isFloatingEdge } from '../utils/floating.js';
+import { positionEdgeLabels } from '../utils/edge_labels.js';
+import { readEdges } from '../utils/validation.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// A nudge burst ends this long after the arrow keys are released
+const NUDGE_SETTLE = 300;
 
 export class NodeDragManager {
   constructor(hook) {
     this.hook = hook;
-    this.draggingNodes = new Map(); // nodeId -> { startMouseX, startMouseY, startPosX, startPosY, element }
+    this.draggingNodes = new Map(); // nodeId -> { startMouseX, startMouseY, startPosX, startPosY, element, lead, extent }
     // Track latest client-side positions during drag so we can re-apply after DOM patches
     this.clientPositions = new Map(); // nodeId -> { x, y }
     // Cache of edges connected to dragging nodes for client-side path updates
-    this.affectedEdges = []; // [{ g, paths, sourceNodeId, targetNodeId, sourceHandlePos, targetHandlePos }]
+    this.affectedEdges = []; // [{ g, paths, edgeType, pathOptions, routed, floating, sourceNodeId, targetNodeId, sourceHandlePos, targetHandlePos }]
+    // Group nodes a dragged node can be dropped into, in DOM (stacking) order
+    this.dropGroups = []; // [{ id, element }]
+    this.primaryNodeId = null;
+    this.dropTargetId = null;
+    // Proximity connect: handles in reach, and the pair that would connect
+    this.proximity = null; // { own: [...], others: [...], edges: [...], candidate, svg }
+    // Edge splicing: edges the dragged node could be dropped on, and the hovered one
+    this.spliceEdges = []; // [{ id, g }]
+    this.spliceEdgeId = null;
+    // Keyboard nudge in progress
+    this.nudging = null; // { dx, dy, timer }
   }
 
   /**
@@ -42,6 +76,21 @@ export class NodeDragManager {
 
     // Also re-apply edge paths since the server render may have overwritten them
     this.updateEdgePaths();
+
+    // The patch may have replaced group elements and dropped the highlight
+    this.dropGroups.forEach(group => {
+      group.element = this.hook.nodeLayer.querySelector(`[data-node-id="${group.id}"]`) || group.element;
+    });
+    const target = this.dropTargetId;
+    this.dropTargetId = null;
+    this.setDropTarget(target);
+
+    this.spliceEdges.forEach(edge => {
+      edge.g = this.hook.edgeLayer.querySelector(`g[data-edge-id="${edge.id}"]`) || edge.g;
+    });
+    const spliceId = this.spliceEdgeId;
+    this.spliceEdgeId = null;
+    this.setSpliceEdge(spliceId);
   }
 
   /**
@@ -56,36 +105,478 @@ export class NodeDragManager {
     const [flowX, flowY] = this.hook.coords.eventToFlow(event);
 
     // If this node is selected, drag all selected nodes
-    const nodesToDrag = this.hook.selectedNodes.has(nodeId)
+    const nodeIds = this.hook.selectedNodes.has(nodeId)
       ? Array.from(this.hook.selectedNodes)
       : [nodeId];
 
-    nodesToDrag.forEach(id => {
+    if (this.beginDrag(nodeIds, flowX, flowY)) {
+      this.primaryNodeId = this.draggingNodes.has(nodeId) ? nodeId : null;
+      this.cacheDropGroups();
+
+      // Initialize helper lines if enabled
+      if (this.hook.helperLines) {
+        this.hook.helperLines.startDrag(new Set(this.draggingNodes.keys()));
+      }
+      this.cacheProximityHandles();
+      this.cacheSpliceEdges();
+      // Notify server for history snapshot
+      this.pushDragStart();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Fill draggingNodes with the draggable nodes among nodeIds and their
+   * descendants, and cache their edges. Shared by pointer drags and nudges.
+   *
+   * @returns {boolean} False if none of the nodes can be dragged
+   */
+  beginDrag(nodeIds, flowX, flowY) {
+    const nodesToDrag = nodeIds.filter(id => {
       const el = this.hook.nodeLayer.querySelector(`[data-node-id="${id}"]`);
-      if (el && el.dataset.draggable !== 'false') {
+      return el && el.dataset.draggable !== 'false';
+    });
+
+    // Children of dragged nodes come along, whether draggable or not
+    const dragIds = this.collectDescendants(nodesToDrag);
+
+    dragIds.forEach(id => {
+      const el = this.hook.nodeLayer.querySelector(`[data-node-id="${id}"]`);
+      if (el) {
         this.draggingNodes.set(id, {
           startMouseX: flowX,
           startMouseY: flowY,
           startPosX: parseFloat(el.style.left) || 0,
           startPosY: parseFloat(el.style.top) || 0,
-          element: el
+          element: el,
+          lead: this.findLead(id, dragIds),
+          extent: null
         });
         el.dataset.dragging = 'true';
       }
     });
 
-    if (this.draggingNodes.size > 0) {
-      // Initialize helper lines if enabled
-      if (this.hook.helperLines) {
-        this.hook.helperLines.startDrag(new Set(this.draggingNodes.keys()));
-      }
-      // Cache edges connected to dragging nodes
-      this.cacheAffectedEdges();
-      // Notify server for history snapshot
+    if (this.draggingNodes.size === 0) return false;
+
+    // Extents depend on which parents are moving, so resolve them last
+    this.draggingNodes.forEach(drag => {
+      drag.extent = drag.lead ? null : this.getExtentBounds(drag.element);
+    });
+    // Cache edges connected to dragging nodes
+    this.cacheAffectedEdges();
+    return true;
+  }
+
+  /**
+   * Move the selected nodes by (dx, dy) flow pixels from the keyboard.
+   * The first press of a burst starts a drag; later presses add to it.
+   *
+   * @returns {boolean} False if there was nothing to move
+   */
+  nudge(dx, dy) {
+    if (!this.nudging) {
+      if (!this.hook.config.nodesDraggable || this.isDragging()) return false;
+      if (!this.beginDrag(Array.from(this.hook.selectedNodes), 0, 0)) return false;
       this.pushDragStart();
-      return true;
+      this.nudging = { dx: 0, dy: 0, timer: null };
+    }
+
+    const nudging = this.nudging;
+    clearTimeout(nudging.timer);
+    nudging.timer = null;
+    nudging.dx += dx;
+    nudging.dy += dy;
+
+    this.draggingNodes.forEach((drag, nodeId) => {
+      if (drag.lead) return;
+      let newX = drag.startPosX + nudging.dx;
+      let newY = drag.startPosY + nudging.dy;
+      if (drag.extent) {
+        newX = Math.min(drag.extent.maxX, Math.max(drag.extent.minX, newX));
+        newY = Math.min(drag.extent.maxY, Math.max(drag.extent.minY, newY));
+      }
+      drag.element.style.left = `${newX}px`;
+      drag.element.style.top = `${newY}px`;
+      this.clientPositions.set(nodeId, { x: newX, y: newY });
+    });
+    this.moveFollowers();
+
+    this.updateEdgePaths();
+    this.hook.minimap?.schedule();
+    this._throttleDragBroadcast();
+    return true;
+  }
+
+  /**
+   * End the nudge burst once the arrow keys have been released for a moment,
+   * so quick repeated taps still count as one move
+   */
+  scheduleNudgeEnd() {
+    if (!this.nudging) return;
+    clearTimeout(this.nudging.timer);
+    this.nudging.timer = setTimeout(() => this.endNudge(), NUDGE_SETTLE);
+  }
+
+  /**
+   * Push the nudged positions to the server and finish the drag
+   */
+  endNudge() {
+    if (!this.nudging) return;
+    clearTimeout(this.nudging.timer);
+    this.nudging = null;
+
+    const changes = [];
+    this.draggingNodes.forEach((drag, nodeId) => {
+      drag.element.dataset.dragging = 'false';
+      changes.push({
+        type: 'position',
+        id: nodeId,
+        position: {
+          x: parseFloat(drag.element.style.left) || 0,
+          y: parseFloat(drag.element.style.top) || 0
+        },
+        dragging: false
+      });
+    });
+
+    this.draggingNodes.clear();
+    this.clientPositions.clear();
+    this.affectedEdges = [];
+    this.hook.panZoom.refreshContentExtent();
+    this.hook.pushNodeChange(changes);
+  }
+
+  /**
+   * Expand a list of node IDs with all of their descendants.
+   */
+  collectDescendants(nodeIds) {
+    const childrenOf = new Map(); // parentId -> [childId]
+    this.hook.nodeLayer.querySelectorAll('.lf-node[data-parent-id]').forEach(el => {
+      const siblings = childrenOf.get(el.dataset.parentId) || [];
+      siblings.push(el.dataset.nodeId);
+      childrenOf.set(el.dataset.parentId, siblings);
+    });
+
+    const ids = new Set();
+    const queue = [...nodeIds];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (ids.has(id)) continue;
+      ids.add(id);
+      (childrenOf.get(id) || []).forEach(childId => queue.push(childId));
+    }
+    return ids;
+  }
+
+  /**
+   * Find the outermost dragged ancestor of a node, or null if none of its
+   * ancestors is being dragged. Followers keep their offset to that lead.
+   */
+  findLead(nodeId, dragIds) {
+    let lead = null;
+    const seen = new Set([nodeId]);
+    let parentId = this.getParentId(nodeId);
+
+    while (parentId && dragIds.has(parentId) && !seen.has(parentId)) {
+      lead = parentId;
+      seen.add(parentId);
+      parentId = this.getParentId(parentId);
+    }
+    return lead;
+  }
+
+  getParentId(nodeId) {
+    const el = this.hook.nodeLayer.querySelector(`[data-node-id="${nodeId}"]`);
+    return el?.dataset.parentId || null;
+  }
+
+  /**
+   * Get the allowed range for a node's top-left corner from its
+   * `data-extent` ("parent" or a JSON `{min, max}` bounds map).
+   */
+  getExtentBounds(el) {
+    const extent = el.dataset.extent;
+    if (!extent) return null;
+
+    const w = el.offsetWidth;
+    const h = el.offsetHeight;
+
+    if (extent === 'parent') {
+      const parentEl = el.dataset.parentId &&
+        this.hook.nodeLayer.querySelector(`[data-node-id="${el.dataset.parentId}"]`);
+      if (!parentEl) return null;
+
+      const px = parseFloat(parentEl.style.left) || 0;
+      const py = parseFloat(parentEl.style.top) || 0;
+      return {
+        minX: px,
+        minY: py,
+        maxX: px + parentEl.offsetWidth - w,
+        maxY: py + parentEl.offsetHeight - h
+      };
+    }
+
+    try {
+      const { min, max } = JSON.parse(extent);
+      return { minX: min.x, minY: min.y, maxX: max.x - w, maxY: max.y - h };
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache the group nodes that dragged nodes could be dropped into.
+   */
+  cacheDropGroups() {
+    this.dropGroups = [];
+    this.hook.nodeLayer.querySelectorAll('.lf-node[data-node-type="group"]').forEach(el => {
+      const id = el.dataset.nodeId;
+      if (!this.draggingNodes.has(id)) {
+        this.dropGroups.push({ id, element: el });
+      }
+    });
+  }
+
+  /**
+   * Find the innermost group containing the center of a node element.
+   * Returns null when the node is over the bare canvas.
+   */
+  findDropGroup(el) {
+    const cx = (parseFloat(el.style.left) || 0) + el.offsetWidth / 2;
+    const cy = (parseFloat(el.style.top) || 0) + el.offsetHeight / 2;
+
+    // Later groups render above earlier ones (children after parents)
+    for (let i = this.dropGroups.length - 1; i >= 0; i--) {
+      const g = this.dropGroups[i].element;
+      const x = parseFloat(g.style.left) || 0;
+      const y = parseFloat(g.style.top) || 0;
+      if (cx >= x && cx <= x + g.offsetWidth && cy >= y && cy <= y + g.offsetHeight) {
+        return this.dropGroups[i].id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a dragged node may change its parent on drop.
+   */
+  canReparent(drag) {
+    return !drag.lead && drag.element.dataset.extent !== 'parent';
+  }
+
+  /**
+   * Highlight the group the primary dragged node would be dropped into.
+   */
+  setDropTarget(groupId) {
+    if (groupId === this.dropTargetId) return;
+
+    const find = id => this.dropGroups.find(g => g.id === id)?.element;
+    if (this.dropTargetId) find(this.dropTargetId)?.classList.remove('lf-node-drop-target');
+    if (groupId) find(groupId)?.classList.add('lf-node-drop-target');
+    this.dropTargetId = groupId;
+  }
+
+  // ===== Edge Splicing =====
+
+  /**
+   * Cache the edges a lone dragged node could be spliced into: every edge
+   * not already attached to it. The node needs a handle of each type.
+   */
+  cacheSpliceEdges() {
+    this.spliceEdges = [];
+    if (!this.hook.config.spliceEdges || this.draggingNodes.size !== 1) return;
+
+    const nodeId = this.primaryNodeId;
+    const handles = this.spliceHandles(nodeId);
+    if (!handles) return;
+
+    this.hook.edgeLayer.querySelectorAll('g[data-edge-id]').forEach(g => {
+      if (g.dataset.source === nodeId || g.dataset.target === nodeId) return;
+      this.spliceEdges.push({ id: g.dataset.edgeId, g });
+    });
+  }
+
+  /**
+   * The node's first connectable target and source handle IDs, or null
+   * if it lacks either.
+   */
+  spliceHandles(nodeId) {
+    const nodeEl = nodeId && this.hook.nodeLayer.querySelector(`.lf-node[data-node-id="${nodeId}"]`);
+    if (!nodeEl) return null;
+
+    const first = (type) => Array.from(nodeEl.querySelectorAll(`[data-handle-type="${type}"]`))
+      .find(el => el.dataset.handleConnectable !== 'false');
+    const target = first('target');
+    const source = first('source');
+    if (!target || !source) return null;
+
+    return { target_handle: target.dataset.handleId, source_handle: source.dataset.handleId };
+  }
+
+  /**
+   * Find the edge whose interaction path runs under the dragged node's
+   * centre. Later edges are drawn on top, so they win.
+   */
+  updateSpliceTarget() {
+    if (this.spliceEdges.length === 0) return;
+
+    const rect = this.getNodeRect(this.primaryNodeId);
+    if (!rect) return;
+
+    const center = new DOMPoint(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    const hit = this.spliceEdges.findLast(({ g }) =>
+      g.querySelector('.lf-edge-interaction')?.isPointInStroke(center)
+    );
+    this.setSpliceEdge(hit ? hit.id : null);
+  }
+
+  /**
+   * Highlight the edge the dragged node would be spliced into.
+   */
+  setSpliceEdge(edgeId) {
+    if (edgeId === this.spliceEdgeId) return;
+
+    const find = id => this.spliceEdges.find(edge => edge.id === id)?.g;
+    if (this.spliceEdgeId) delete find(this.spliceEdgeId)?.dataset.spliceTarget;
+    if (edgeId) {
+      const g = find(edgeId);
+      if (g) g.dataset.spliceTarget = 'true';
+    }
+    this.spliceEdgeId = edgeId;
+  }
+
+  // ===== Proximity Connect =====
+
+  /**
+   * Cache the grabbed node's handles (as offsets from its corner) and the
+   * connectable handles of every node that isn't being dragged.
+   */
+  cacheProximityHandles() {
+    this.proximity = null;
+    const config = this.hook.config;
+    if (!config.proximityConnect || !config.nodesConnectable || !this.primaryNodeId) return;
+
+    const describe = (el) => ({
+      nodeId: el.closest('[data-node-id]').dataset.nodeId,
+      handleId: el.dataset.handleId,
+      handleType: el.dataset.handleType,
+      handlePosition: el.dataset.handlePosition,
+      connectType: el.dataset.handleConnectType || null
+    });
+
+    const primary = this.draggingNodes.get(this.primaryNodeId);
+    const own = [];
+    const others = [];
+    this.hook.nodeLayer.querySelectorAll('[data-handle-id]').forEach(el => {
+      if (el.dataset.handleConnectable === 'false') return;
+      const handle = describe(el);
+      const [x, y] = this.hook.connection.handleCenter(el);
+
+      if (handle.nodeId === this.primaryNodeId) {
+        own.push({ ...handle, dx: x - primary.startPosX, dy: y - primary.startPosY });
+      } else if (!this.draggingNodes.has(handle.nodeId)) {
+        others.push({ ...handle, x, y });
+      }
+    });
+
+    if (own.length > 0 && others.length > 0) {
+      this.proximity = { own, others, edges: readEdges(this.hook.edgeLayer), candidate: null, svg: null };
+    }
+  }
+
+  /**
+   * Find the closest pair of compatible handles within
+   * `proximity_connect_distance` of each other and preview it.
+   */
+  updateProximity() {
+    if (!this.proximity) return;
+
+    const pos = this.clientPositions.get(this.primaryNodeId);
+    if (!pos) return;
+
+    // Splicing into an edge takes precedence
+    if (this.spliceEdgeId) {
+      this.proximity.candidate = null;
+      this.drawProximityEdge(null);
+      return;
+    }
+
+    const { own, others, edges } = this.proximity;
+    let best = null;
+    let bestDistance = this.hook.config.proximityConnectDistance;
+
+    own.forEach(handle => {
+      const from = { ...handle, x: pos.x + handle.dx, y: pos.y + handle.dy };
+      others.forEach(other => {
+        if (other.handleType === from.handleType) return;
+        const distance = Math.hypot(other.x - from.x, other.y - from.y);
+        if (distance >= bestDistance) return;
+        if (this.isConnected(from, other, edges)) return;
+        if (this.hook.connection.connectionError(from, other, edges) !== null) return;
+
+        best = { from, to: other };
+        bestDistance = distance;
+      });
+    });
+
+    this.proximity.candidate = best;
+    this.drawProximityEdge(best);
+  }
+
+  /**
+   * Whether an edge already joins these two handles. Edges without a
+   * handle ID use the node's default handle, so they count for any.
+   */
+  isConnected(a, b, edges) {
+    const [source, target] = a.handleType === 'source' ? [a, b] : [b, a];
+    return edges.some(e =>
+      e.source === source.nodeId && e.target === target.nodeId &&
+      (e.sourceHandle === null || e.sourceHandle === source.handleId) &&
+      (e.targetHandle === null || e.targetHandle === target.handleId)
+    );
+  }
+
+  /**
+   * Draw (or remove, for null) the dashed preview of the proximity edge.
+   * Like the connection preview it lives outside the LiveView-managed DOM.
+   */
+  drawProximityEdge(pair) {
+    if (!pair) {
+      this.removeProximityEdge();
+      return;
+    }
+
+    let svg = this.proximity.svg;
+    if (!svg) {
+      svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('class', 'lf-preview-overlay');
+      svg.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;overflow:visible;z-index:1;';
+      const g = document.createElementNS(SVG_NS, 'g');
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('class', 'lf-connection-line lf-proximity-edge');
+      g.appendChild(path);
+      svg.appendChild(g);
+      this.hook.container.appendChild(svg);
+      this.proximity.svg = svg;
+    }
+
+    const { x, y, zoom } = this.hook.viewport;
+    svg.querySelector('g').setAttribute('transform', `translate(${x}, ${y}) scale(${zoom})`);
+
+    const [source, target] = pair.from.handleType === 'source' ? [pair.from, pair.to] : [pair.to, pair.from];
+    svg.querySelector('path').setAttribute('d', calculateEdgePath(
+      this.hook.config.connectionLineType,
+      source.x, source.y, source.handlePosition,
+      target.x, target.y, target.handlePosition
+    ));
+  }
+
+  removeProximityEdge() {
+    if (this.proximity?.svg) {
+      this.proximity.svg.remove();
+      this.proximity.svg = null;
     }
-    return false;
   }
 
   /**
@@ -111,18 +602,19 @@ export class NodeDragManager {
 
       // Collect all <path> elements in this edge group
       const paths = g.querySelectorAll('path');
+      const pathOptions = getEdgePathOptions(g);
 
       this.affectedEdges.push({
         g,
         paths,
+        edgeType: g.dataset.edgeType,
+        pathOptions,
+        routed: sourceId !== targetId && isRoutedEdge(g.dataset.edgeType, pathOptions),
+        floating: isFloatingEdge(g, pathOptions),
         sourceNodeId: sourceId,
         targetNodeId: targetId,
         sourceHandlePos,
-        targetHandlePos,
-        // Cache source/target handle references for label update
-        labelWrapper: g.querySelector('.lf-edge-label-wrapper'),
-        insertWrapper: g.querySelector('.lf-edge-insert-wrapper'),
-        deleteWrapper: g.querySelector('foreignObject:last-of-type'),
+        targetHandlePos
       });
     });
   }
@@ -147,18 +639,30 @@ export class NodeDragManager {
   }
 
   /**
-   * Calculate handle coordinates based on node position and dimensions.
+   * Get a node's box in flow coordinates, or null if it isn't rendered.
    */
-  getHandleCoords(nodeId, handlePosition) {
+  getNodeRect(nodeId) {
     const nodeEl = this.hook.nodeLayer.querySelector(`[data-node-id="${nodeId}"]`);
     if (!nodeEl) return null;
 
     // Use client positions if available (for dragging nodes), otherwise read from DOM
     const clientPos = this.clientPositions.get(nodeId);
-    const x = clientPos ? clientPos.x : (parseFloat(nodeEl.style.left) || 0);
-    const y = clientPos ? clientPos.y : (parseFloat(nodeEl.style.top) || 0);
-    const w = nodeEl.offsetWidth || 100;
-    const h = nodeEl.offsetHeight || 40;
+    return {
+      x: clientPos ? clientPos.x : (parseFloat(nodeEl.style.left) || 0),
+      y: clientPos ? clientPos.y : (parseFloat(nodeEl.style.top) || 0),
+      width: nodeEl.offsetWidth || 100,
+      height: nodeEl.offsetHeight || 40
+    };
+  }
+
+  /**
+   * Calculate handle coordinates based on node position and dimensions.
+   */
+  getHandleCoords(nodeId, handlePosition) {
+    const rect = this.getNodeRect(nodeId);
+    if (!rect) return null;
+
+    const { x, y, width: w, height: h } = rect;
 
     switch (handlePosition) {
       case 'top':    return { x: x + w / 2, y: y };
@@ -169,36 +673,74 @@ export class NodeDragManager {
     }
   }
 
+  /**
+   * Calculate the border endpoints of a floating edge from the current
+   * (client-side) node boxes, or null if either node is missing.
+   */
+  getFloatingEndpoints(sourceId, targetId, waypoints = []) {
+    const sourceRect = this.getNodeRect(sourceId);
+    const targetRect = this.getNodeRect(targetId);
+    if (!sourceRect || !targetRect) return null;
+
+    const nodeEl = (id) => this.hook.nodeLayer.querySelector(`[data-node-id="${id}"]`);
+    return calculateFloatingEndpoints(
+      { el: nodeEl(sourceId), rect: sourceRect },
+      { el: nodeEl(targetId), rect: targetRect },
+      waypoints,
+      this.hook.viewport.zoom
+    );
+  }
+
   /**
    * Update SVG paths for all affected edges using current client-side positions.
+   * Routed edges are handed to the edge router, which works within a frame budget.
    */
   updateEdgePaths() {
+    const routedIds = [];
+
     for (const edge of this.affectedEdges) {
-      const sourceCoords = this.getHandleCoords(edge.sourceNodeId, edge.sourceHandlePos);
-      const targetCoords = this.getHandleCoords(edge.targetNodeId, edge.targetHandlePos);
-      if (!sourceCoords || !targetCoords) continue;
+      if (edge.routed) {
+        routedIds.push(edge.g.dataset.edgeId);
+        continue;
+      }
 
-      const pathD = calculateBezierPath(
-        sourceCoords.x, sourceCoords.y, edge.sourceHandlePos,
-        targetCoords.x, targetCoords.y, edge.targetHandlePos
-      );
+      let source;
+      let target;
+      if (edge.floating) {
+        const ends = this.getFloatingEndpoints(edge.sourceNodeId, edge.targetNodeId, edge.pathOptions.waypoints);
+        if (!ends) continue;
+        ({ source, target } = ends);
+      } else {
+        const sourceCoords = this.getHandleCoords(edge.sourceNodeId, edge.sourceHandlePos);
+        const targetCoords = this.getHandleCoords(edge.targetNodeId, edge.targetHandlePos);
+        if (!sourceCoords || !targetCoords) continue;
+        source = { ...sourceCoords, position: edge.sourceHandlePos };
+        target = { ...targetCoords, position: edge.targetHandlePos };
+      }
+
+      const pathD = edge.sourceNodeId === edge.targetNodeId
+        ? calculateSelfLoopPath(
+          edge.edgeType,
+          source.x, source.y, source.position,
+          target.x, target.y, target.position,
+          this.getNodeRect(edge.sourceNodeId),
+          edge.pathOptions
+        )
+        : calculateEdgePath(
+          edge.edgeType,
+          source.x, source.y, source.position,
+          target.x, target.y, target.position,
+          edge.pathOptions
+        );
 
       // Update all path elements in this edge group
       edge.paths.forEach(p => { p.setAttribute('d', pathD); });
 
-      // Update label/insert/delete button positions (midpoint)
-      const midX = (sourceCoords.x + targetCoords.x) / 2;
-      const midY = (sourceCoords.y + targetCoords.y) / 2;
-
-      if (edge.labelWrapper) {
-        edge.labelWrapper.setAttribute('x', midX - 50);
-        edge.labelWrapper.setAttribute('y', midY - 10);
-      }
-      if (edge.insertWrapper) {
-        edge.insertWrapper.setAttribute('x', midX - 12);
-        edge.insertWrapper.setAttribute('y', midY - 12);
-      }
+      // Move label/insert/delete buttons along the new path
+      positionEdgeLabels(edge.g);
     }
+
+    this.hook.edgeRouter.schedule(routedIds);
   }
 
   /**
@@ -230,8 +772,10 @@ export class NodeDragManager {
       hasHGuide = result.hasHGuide;
     }
 
-    // Pass 3: apply final positions (CSS only, no server push)
+    // Pass 3: apply final positions (CSS only, no server push).
+    // Followers are skipped here and keep their offset to their lead below.
     this.draggingNodes.forEach((drag, nodeId) => {
+      if (drag.lead) return;
       let newX, newY;
 
       if (hasVGuide) {
@@ -258,6 +802,11 @@ export class NodeDragManager {
         newY = drag._rawY;
       }
 
+      if (drag.extent) {
+        newX = Math.min(drag.extent.maxX, Math.max(drag.extent.minX, newX));
+        newY = Math.min(drag.extent.maxY, Math.max(drag.extent.minY, newY));
+      }
+
       // Apply CSS immediately (client-side, instant)
       drag.element.style.left = `${newX}px`;
       drag.element.style.top = `${newY}px`;
@@ -266,13 +815,39 @@ export class NodeDragManager {
       this.clientPositions.set(nodeId, { x: newX, y: newY });
     });
 
+    this.moveFollowers();
+
+    // Highlight the group the grabbed node would be dropped into
+    const primary = this.draggingNodes.get(this.primaryNodeId);
+    this.setDropTarget(primary && this.canReparent(primary) ? this.findDropGroup(primary.element) : null);
+
     // Update edge SVG paths client-side (instant, no server round-trip)
     this.updateEdgePaths();
+    this.updateSpliceTarget();
+    this.updateProximity();
+    this.hook.minimap?.schedule();
 
     // Broadcast intermediate positions to remote users (throttled)
     this._throttleDragBroadcast();
   }
 
+  /**
+   * Children follow their lead exactly (no individual snapping)
+   */
+  moveFollowers() {
+    this.draggingNodes.forEach((drag, nodeId) => {
+      if (!drag.lead) return;
+      const lead = this.draggingNodes.get(drag.lead);
+      const leadPos = this.clientPositions.get(drag.lead);
+      const newX = drag.startPosX + (leadPos.x - lead.startPosX);
+      const newY = drag.startPosY + (leadPos.y - lead.startPosY);
+
+      drag.element.style.left = `${newX}px`;
+      drag.element.style.top = `${newY}px`;
+      this.clientPositions.set(nodeId, { x: newX, y: newY });
+    });
+  }
+
   /**
    * Throttled broadcast of drag positions for remote collaboration.
    * Sends intermediate positions so other users see live movement.
@@ -304,10 +879,19 @@ export class NodeDragManager {
     if (this.draggingNodes.size === 0) return;
 
     const changes = [];
+    const reparents = [];
 
     this.draggingNodes.forEach((drag, nodeId) => {
       drag.element.dataset.dragging = 'false';
 
+      // Dropped into or out of a group (only nodes that actually moved)
+      if (this.clientPositions.has(nodeId) && this.canReparent(drag)) {
+        const parentId = this.findDropGroup(drag.element);
+        if (parentId !== (drag.element.dataset.parentId || null)) {
+          reparents.push({ type: 'reparent', id: nodeId, parent_id: parentId });
+        }
+      }
+
       changes.push({
         type: 'position',
         id: nodeId,
@@ -319,17 +903,39 @@ export class NodeDragManager {
       });
     });
 
+    const candidate = this.proximity?.candidate;
+    this.removeProximityEdge();
+    this.proximity = null;
+
+    const spliceEdgeId = this.spliceEdgeId;
+    const splice = spliceEdgeId && { edge_id: spliceEdgeId, node_id: this.primaryNodeId,
+      ...this.spliceHandles(this.primaryNodeId) };
+    this.setSpliceEdge(null);
+    this.spliceEdges = [];
+
+    this.setDropTarget(null);
     this.draggingNodes.clear();
     this.clientPositions.clear();
     this.affectedEdges = [];
+    this.dropGroups = [];
+    this.primaryNodeId = null;
 
     // Clean up helper lines
     if (this.hook.helperLines) {
       this.hook.helperLines.endDrag();
     }
 
-    // Send final position to server (single push)
-    this.hook.pushNodeChange(changes);
+    this.hook.panZoom.refreshContentExtent();
+
+    // Send final position (and any new parents) to server (single push)
+    this.hook.pushNodeChange(changes.concat(reparents));
+
+    // Dropped onto an edge: splice it in; next to a compatible handle: connect them
+    if (splice) {
+      this.hook.pushEvent('lf:splice_into_edge', splice);
+    } else if (candidate) {
+      this.hook.connection.pushConnect(candidate.to, candidate.from);
+    }
   }
 
   /**
@@ -346,8 +952,14 @@ export class NodeDragManager {
   }
 
   destroy() {
+    clearTimeout(this.nudging?.timer);
+    this.nudging = null;
+    this.removeProximityEdge();
+    this.proximity = null;
+    this.spliceEdges = [];
     this.draggingNodes.clear();
     this.clientPositions.clear();
     this.affectedEdges = [];
+    this.dropGroups = [];
   }
 }
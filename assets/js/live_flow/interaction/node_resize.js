@@ -0,0 +1,211 @@
+/**
+ * Node resize manager for LiveFlow
+ *
+ * Resizable nodes render eight `.lf-resize-handle` elements while selected.
+ * Dragging one updates the node's size (and, for top/left handles, its
+ * position) client-side, keeping connected edges attached.  The server is
+ * told when the resize starts (for a history snapshot) and receives the
+ * final dimensions once the pointer is released.
+ */
+
+const DEFAULT_MIN_SIZE = 10;
+
+export class NodeResizeManager {
+  constructor(hook) {
+    this.hook = hook;
+    // Active resize: { nodeId, direction, element, startMouseX, startMouseY,
+    //                  startX, startY, startWidth, startHeight, constraints }
+    this.resizing = null;
+    // Latest client-side geometry, re-applied after DOM patches
+    this.clientRect = null; // { x, y, width, height }
+  }
+
+  /**
+   * Check if we're currently resizing
+   */
+  isResizing() {
+    return this.resizing !== null;
+  }
+
+  /**
+   * Start resizing a node from one of its handles
+   */
+  startResize(nodeId, direction, event) {
+    const el = this.hook.nodeLayer.querySelector(`[data-node-id="${nodeId}"]`);
+    if (!el || el.dataset.resizable !== 'true' || this.hook.controls.locked) return false;
+
+    const [flowX, flowY] = this.hook.coords.eventToFlow(event);
+
+    this.resizing = {
+      nodeId,
+      direction,
+      element: el,
+      startMouseX: flowX,
+      startMouseY: flowY,
+      startX: parseFloat(el.style.left) || 0,
+      startY: parseFloat(el.style.top) || 0,
+      startWidth: el.offsetWidth,
+      startHeight: el.offsetHeight,
+      constraints: this.readConstraints(el)
+    };
+    el.dataset.resizing = 'true';
+
+    // Notify server for history snapshot
+    this.hook.pushNodeChange([{
+      type: 'dimensions',
+      id: nodeId,
+      width: el.offsetWidth,
+      height: el.offsetHeight,
+      resizing: true
+    }]);
+    return true;
+  }
+
+  /**
+   * Read min/max/aspect constraints from the node's data attributes
+   */
+  readConstraints(el) {
+    const num = (value, fallback) => {
+      const n = parseFloat(value);
+      return Number.isNaN(n) ? fallback : n;
+    };
+
+    return {
+      minWidth: num(el.dataset.minWidth, DEFAULT_MIN_SIZE),
+      minHeight: num(el.dataset.minHeight, DEFAULT_MIN_SIZE),
+      maxWidth: num(el.dataset.maxWidth, Infinity),
+      maxHeight: num(el.dataset.maxHeight, Infinity),
+      keepAspectRatio: el.dataset.keepAspectRatio === 'true'
+    };
+  }
+
+  /**
+   * Handle resize movement — size, position and edges updated client-side
+   */
+  moveResize(event) {
+    if (!this.resizing) return;
+
+    const r = this.resizing;
+    const { minWidth, minHeight, maxWidth, maxHeight, keepAspectRatio } = r.constraints;
+    const [flowX, flowY] = this.hook.coords.eventToFlow(event);
+    let dx = flowX - r.startMouseX;
+    let dy = flowY - r.startMouseY;
+
+    if (this.hook.config.snapToGrid) {
+      dx = Math.round(dx / this.hook.config.snapGridX) * this.hook.config.snapGridX;
+      dy = Math.round(dy / this.hook.config.snapGridY) * this.hook.config.snapGridY;
+    }
+
+    const fromLeft = r.direction.includes('left');
+    const fromTop = r.direction.includes('top');
+    const horizontal = fromLeft || r.direction.includes('right');
+    const vertical = fromTop || r.direction.includes('bottom');
+
+    let width = horizontal ? r.startWidth + (fromLeft ? -dx : dx) : r.startWidth;
+    let height = vertical ? r.startHeight + (fromTop ? -dy : dy) : r.startHeight;
+
+    width = clamp(width, minWidth, maxWidth);
+    height = clamp(height, minHeight, maxHeight);
+
+    if (keepAspectRatio && r.startWidth > 0 && r.startHeight > 0) {
+      // Scale both sides by the dominant axis, then re-apply the limits
+      const scaleX = width / r.startWidth;
+      const scaleY = height / r.startHeight;
+      let scale = !vertical ? scaleX
+        : !horizontal ? scaleY
+          : (Math.abs(scaleX - 1) > Math.abs(scaleY - 1) ? scaleX : scaleY);
+      const minScale = Math.max(minWidth / r.startWidth, minHeight / r.startHeight);
+      const maxScale = Math.min(maxWidth / r.startWidth, maxHeight / r.startHeight);
+      scale = clamp(scale, minScale, maxScale);
+      width = r.startWidth * scale;
+      height = r.startHeight * scale;
+    }
+
+    // Top/left handles keep the opposite side anchored
+    const x = fromLeft ? r.startX + (r.startWidth - width) : r.startX;
+    const y = fromTop ? r.startY + (r.startHeight - height) : r.startY;
+
+    this.clientRect = { x, y, width, height };
+    this.applyRect();
+  }
+
+  /**
+   * Write the client-side geometry to the node element and its edges
+   */
+  applyRect() {
+    if (!this.resizing || !this.clientRect) return;
+
+    const { x, y, width, height } = this.clientRect;
+    const el = this.resizing.element;
+    el.style.left = `${x}px`;
+    el.style.top = `${y}px`;
+    el.style.width = `${width}px`;
+    el.style.height = `${height}px`;
+
+    this.hook._updateEdgesForNodes(new Set([this.resizing.nodeId]));
+    this.hook.minimap?.schedule();
+  }
+
+  /**
+   * Re-apply client-side geometry after a LiveView DOM patch.
+   * Called from the hook's updated() callback to prevent jitter.
+   */
+  reapplyDimensions() {
+    if (!this.resizing) return;
+
+    // The patch may have replaced the element
+    const el = this.hook.nodeLayer.querySelector(`[data-node-id="${this.resizing.nodeId}"]`);
+    if (el) {
+      this.resizing.element = el;
+      el.dataset.resizing = 'true';
+    }
+    this.applyRect();
+  }
+
+  /**
+   * End resizing — send final dimensions (and position) to server
+   */
+  endResize() {
+    if (!this.resizing) return;
+
+    const { nodeId, element, startX, startY } = this.resizing;
+    const rect = this.clientRect || {
+      x: startX,
+      y: startY,
+      width: element.offsetWidth,
+      height: element.offsetHeight
+    };
+
+    element.dataset.resizing = 'false';
+    this.resizing = null;
+    this.clientRect = null;
+
+    const width = Math.round(rect.width);
+    const height = Math.round(rect.height);
+
+    // Keep the node observer from echoing the same size back
+    this.hook._measuredNodes?.set(nodeId, { w: element.offsetWidth, h: element.offsetHeight });
+
+    const changes = [{ type: 'dimensions', id: nodeId, width, height, resizing: false }];
+    if (rect.x !== startX || rect.y !== startY) {
+      changes.push({
+        type: 'position',
+        id: nodeId,
+        position: { x: rect.x, y: rect.y },
+        dragging: false
+      });
+    }
+
+    this.hook.panZoom.refreshContentExtent();
+    this.hook.pushNodeChange(changes);
+  }
+
+  destroy() {
+    this.resizing = null;
+    this.clientRect = null;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
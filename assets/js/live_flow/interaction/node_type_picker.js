@@ -0,0 +1,108 @@
+/**
+ * Node type picker for LiveFlow
+ *
+ * A small popover listing node types, shown where a connection was dropped
+ * on empty canvas when the flow has `connect_to_pane_types`. Picking a type
+ * completes the gesture; Escape, clicking elsewhere or scrolling cancels it.
+ * Lives outside the LiveView-managed DOM, like the connection preview.
+ */
+
+export class NodeTypePicker {
+  constructor(hook) {
+    this.hook = hook;
+    this.el = null;
+    this.onCancel = null;
+
+    this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+    this.onDocumentKeyDown = this.onDocumentKeyDown.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+  }
+
+  isOpen() {
+    return this.el !== null;
+  }
+
+  /**
+   * Open the picker at a container-relative screen position.
+   *
+   * @param {number} x - Left edge, in px from the container's left
+   * @param {number} y - Top edge, in px from the container's top
+   * @param {Array<{type: string, label: string}>} types - Choices, in order
+   * @param {Function} onPick - Called with the picked type
+   * @param {Function} onCancel - Called when the picker is dismissed
+   */
+  open(x, y, types, onPick, onCancel) {
+    this.close();
+
+    const el = document.createElement('div');
+    el.className = 'lf-node-type-picker';
+    el.setAttribute('role', 'menu');
+
+    types.forEach(({ type, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'lf-node-type-picker-item';
+      button.setAttribute('role', 'menuitem');
+      button.dataset.nodeType = type;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.close();
+        onPick(type);
+      });
+      el.appendChild(button);
+    });
+
+    // Keep clicks inside the picker away from the canvas (pan, selection)
+    el.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    this.hook.container.appendChild(el);
+    this.el = el;
+    this.onCancel = onCancel;
+
+    // Keep the popover inside the container
+    const maxX = this.hook.container.clientWidth - el.offsetWidth;
+    const maxY = this.hook.container.clientHeight - el.offsetHeight;
+    el.style.left = `${Math.max(0, Math.min(x, maxX))}px`;
+    el.style.top = `${Math.max(0, Math.min(y, maxY))}px`;
+    el.querySelector('button')?.focus();
+
+    document.addEventListener('mousedown', this.onDocumentMouseDown, true);
+    document.addEventListener('keydown', this.onDocumentKeyDown, true);
+    this.hook.container.addEventListener('wheel', this.onWheel, { passive: true });
+  }
+
+  onDocumentMouseDown(event) {
+    if (this.el && !this.el.contains(event.target)) this.cancel();
+  }
+
+  onDocumentKeyDown(event) {
+    if (event.key !== 'Escape') return;
+    // Don't let the flow also treat this Escape as "clear selection"
+    event.stopPropagation();
+    this.cancel();
+  }
+
+  onWheel() {
+    this.cancel();
+  }
+
+  cancel() {
+    const onCancel = this.onCancel;
+    this.close();
+    onCancel?.();
+  }
+
+  close() {
+    if (!this.el) return;
+    this.el.remove();
+    this.el = null;
+    this.onCancel = null;
+    document.removeEventListener('mousedown', this.onDocumentMouseDown, true);
+    document.removeEventListener('keydown', this.onDocumentKeyDown, true);
+    this.hook.container.removeEventListener('wheel', this.onWheel);
+  }
+
+  destroy() {
+    this.close();
+  }
+}
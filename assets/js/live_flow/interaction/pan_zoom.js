@@ -1,6 +1,36 @@
 /**
  * Pan and Zoom manager for LiveFlow
+ *
+ * Momentum after a pan (`panInertia`), smoothed wheel zoom (`smoothZoom`)
+ * and animations all run on one requestAnimationFrame loop, so starting any
+ * of them, or a new pan, drag or touch, stops the one in progress. The
+ * viewport is pushed to the server once the motion has settled.
+ *
+ * With `translateExtent`, every viewport the hook applies is clamped so the
+ * visible area stays inside the extent (see clampViewport). A `{content}`
+ * extent is measured once and cached; the hook refreshes it when nodes may
+ * have moved or resized, so clamping never forces a layout mid-frame.
  */
+
+// Pixels per wheel line, so mice that scroll by lines (Firefox) move as far
+// as ones that scroll by pixels
+const LINE_HEIGHT = 16;
+// Trackpad pinches report much smaller deltas than wheels. Ctrl + wheel
+// reports the same way, so one step is capped at a plain wheel notch.
+const PINCH_SPEED = 10;
+const MAX_PINCH_DELTA = 100;
+// Pan momentum starts at the pointer's speed over the last VELOCITY_WINDOW ms,
+// is multiplied by INERTIA_FRICTION every 16ms and stops below MIN_SPEED px/ms
+const VELOCITY_WINDOW = 100;
+const INERTIA_FRICTION = 0.92;
+const MIN_SPEED = 0.02;
+// Smooth zoom covers this fraction of the remaining zoom every 16ms
+const SMOOTH_ZOOM_RATE = 0.25;
+// Wheel pans and zooms push the viewport after the wheel is still this long
+const SETTLE_DELAY = 150;
+// Longest frame step, so a stalled tab doesn't jump when it resumes
+const MAX_FRAME_STEP = 64;
+
 export class PanZoomManager {
   constructor(hook) {
     this.hook = hook;
@@ -9,17 +39,28 @@ export class PanZoomManager {
     this.startY = 0;
     this.startViewport = null;
     this.lastPushTime = 0;
+    // Running motion: 'inertia' | 'zoom' | 'animation'
+    this.motion = null;
+    this.frame = null;
+    this.zoomTarget = null; // { zoom, centerX, centerY }
+    this.samples = []; // recent pointer positions while panning
+    this.settleTimer = null;
+    // Content bounds for a `{content}` translate extent (undefined: not measured yet)
+    this.cachedContentBounds = undefined;
   }
 
   /**
-   * Start panning
+   * Start panning. `force` pans even with panOnDrag off (Space + drag).
    */
-  startPan(event) {
-    if (!this.hook.config.panOnDrag) return false;
+  startPan(event, force = false) {
+    if (!this.hook.config.panOnDrag && !force) return false;
 
+    // endPan pushes the viewport
+    this.stopMotion({ push: false });
     this.isPanning = true;
     this.startX = event.clientX;
     this.startY = event.clientY;
+    this.samples = [{ t: performance.now(), x: event.clientX, y: event.clientY }];
     this.startViewport = { ...this.hook.viewport };
     this.hook.container.dataset.panning = 'true';
     return true;
@@ -37,6 +78,12 @@ export class PanZoomManager {
     this.hook.viewport.x = this.startViewport.x + dx;
     this.hook.viewport.y = this.startViewport.y + dy;
     this.hook.applyViewportTransform();
+
+    const now = performance.now();
+    this.samples.push({ t: now, x: event.clientX, y: event.clientY });
+    while (this.samples.length > 2 && now - this.samples[0].t > VELOCITY_WINDOW) {
+      this.samples.shift();
+    }
   }
 
   /**
@@ -47,22 +94,159 @@ export class PanZoomManager {
 
     this.isPanning = false;
     this.hook.container.dataset.panning = 'false';
-    this.hook.pushViewportChange();
+    if (!this.hook.config.panInertia || !this.startInertia()) {
+      this.hook.pushViewportChange();
+    }
+  }
+
+  /**
+   * Keep the viewport moving at the pointer's release speed, slowing down
+   * until it stops
+   *
+   * @returns {boolean} False if the pointer wasn't moving when released
+   */
+  startInertia() {
+    const now = performance.now();
+    const recent = this.samples.filter(s => now - s.t <= VELOCITY_WINDOW);
+    this.samples = [];
+    if (recent.length < 2) return false;
+
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const dt = last.t - first.t;
+    if (dt <= 0) return false;
+    let vx = (last.x - first.x) / dt;
+    let vy = (last.y - first.y) / dt;
+    if (Math.hypot(vx, vy) < MIN_SPEED) return false;
+
+    let prev = now;
+    const step = (time) => {
+      const elapsed = Math.max(0, Math.min(time - prev, MAX_FRAME_STEP));
+      prev = time;
+
+      const { x, y, zoom } = this.hook.viewport;
+      this.hook.viewport = { x: x + vx * elapsed, y: y + vy * elapsed, zoom };
+      this.hook.applyViewportTransform();
+
+      const decay = Math.pow(INERTIA_FRICTION, elapsed / 16);
+      vx *= decay;
+      vy *= decay;
+      if (Math.hypot(vx, vy) < MIN_SPEED) {
+        this.finishMotion();
+      } else {
+        this.frame = requestAnimationFrame(step);
+      }
+    };
+
+    this.motion = 'inertia';
+    this.frame = requestAnimationFrame(step);
+    return true;
+  }
+
+  /**
+   * Stop momentum, smooth zoom or an animation where it is. The viewport is
+   * pushed unless `push` is false, for callers that replace the viewport
+   * and push it themselves, so the server never stores a mid-motion frame.
+   */
+  stopMotion({ push = true } = {}) {
+    if (!this.frame) return;
+    cancelAnimationFrame(this.frame);
+    this.finishMotion(push);
+  }
+
+  finishMotion(push = true) {
+    this.frame = null;
+    this.motion = null;
+    this.zoomTarget = null;
+    if (push) this.hook.pushViewportChange();
+  }
+
+  /**
+   * Push the viewport once wheel input has stopped
+   */
+  pushWhenSettled() {
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = null;
+      this.hook.pushViewportChange();
+    }, SETTLE_DELAY);
   }
 
   /**
-   * Handle wheel zoom
+   * Wheel deltas in pixels, whatever unit the browser reported
    */
-  zoom(delta, centerX, centerY) {
+  wheelDelta(event) {
+    let scale = 1;
+    if (event.deltaMode === 1) scale = LINE_HEIGHT;
+    else if (event.deltaMode === 2) scale = this.hook.containerRect.height;
+    return { x: event.deltaX * scale, y: event.deltaY * scale };
+  }
+
+  /**
+   * Handle a wheel event over the canvas. Trackpad pinches arrive as wheel
+   * events with ctrlKey set and always zoom. Other scrolling zooms too,
+   * unless panOnScroll is on, in which case it pans.
+   */
+  wheel(event, centerX, centerY) {
+    const delta = this.wheelDelta(event);
+    if (event.ctrlKey) {
+      // Pinches follow the fingers, so they're never smoothed
+      const pinch = Math.max(-MAX_PINCH_DELTA, Math.min(MAX_PINCH_DELTA, delta.y * PINCH_SPEED));
+      this.zoom(pinch, centerX, centerY, false);
+      return;
+    }
+    if (!this.hook.config.panOnScroll) {
+      this.zoom(delta.y, centerX, centerY);
+      return;
+    }
+
+    let { x: dx, y: dy } = delta;
+    // Shift scrolls a vertical-only wheel sideways (macOS already does this)
+    if (event.shiftKey && dx === 0) {
+      dx = dy;
+      dy = 0;
+    }
+    const mode = this.hook.config.panOnScrollMode;
+    if (mode === 'horizontal') dy = 0;
+    if (mode === 'vertical') dx = 0;
+    this.panBy(-dx, -dy);
+  }
+
+  /**
+   * Move the viewport by a screen-space offset
+   */
+  panBy(dx, dy) {
+    if (dx === 0 && dy === 0) return;
+
+    this.stopMotion({ push: false });
+    const { x, y, zoom } = this.hook.viewport;
+    this.hook.viewport = { x: x + dx, y: y + dy, zoom };
+    this.hook.applyViewportTransform();
+    this.pushWhenSettled();
+  }
+
+  /**
+   * Handle wheel zoom. With smoothZoom, wheel steps add up to a target zoom
+   * that the viewport eases towards.
+   */
+  zoom(delta, centerX, centerY, smooth = this.hook.config.smoothZoom) {
     if (!this.hook.config.zoomOnScroll) return;
 
-    const factor = 1 - delta * 0.001;
+    // Bounded so a page-sized delta can't flip or explode the zoom
+    const factor = Math.min(2, Math.max(0.5, 1 - delta * 0.001));
+    const from = this.motion === 'zoom' ? this.zoomTarget.zoom : this.hook.viewport.zoom;
     const newZoom = Math.max(
       this.hook.config.minZoom,
-      Math.min(this.hook.config.maxZoom, this.hook.viewport.zoom * factor)
+      Math.min(this.hook.config.maxZoom, from * factor)
     );
 
+    if (smooth) {
+      this.smoothZoomTo(newZoom, centerX, centerY);
+      return;
+    }
+
     // Zoom towards cursor position
+    this.stopMotion({ push: false });
     const { x, y, zoom } = this.hook.viewport;
     const scale = newZoom / zoom;
 
@@ -73,7 +257,47 @@ export class PanZoomManager {
     };
 
     this.hook.applyViewportTransform();
-    this.throttledPushViewport();
+    this.pushWhenSettled();
+  }
+
+  /**
+   * Ease the zoom towards targetZoom, keeping (centerX, centerY) in place.
+   * Calls while it's running just move the target.
+   */
+  smoothZoomTo(targetZoom, centerX, centerY) {
+    if (this.motion !== 'zoom') this.stopMotion({ push: false });
+    this.zoomTarget = { zoom: targetZoom, centerX, centerY };
+    if (this.motion === 'zoom') return;
+
+    let prev = performance.now();
+    const step = (time) => {
+      const elapsed = Math.max(0, Math.min(time - prev, MAX_FRAME_STEP));
+      prev = time;
+
+      const target = this.zoomTarget;
+      const { x, y, zoom } = this.hook.viewport;
+      // Ease by ratio rather than difference, so zooming in and out feel the same
+      const t = 1 - Math.pow(1 - SMOOTH_ZOOM_RATE, elapsed / 16);
+      let next = zoom * Math.pow(target.zoom / zoom, t);
+      if (Math.abs(next / target.zoom - 1) < 0.001) next = target.zoom;
+
+      const scale = next / zoom;
+      this.hook.viewport = {
+        x: target.centerX - (target.centerX - x) * scale,
+        y: target.centerY - (target.centerY - y) * scale,
+        zoom: next
+      };
+      this.hook.applyViewportTransform();
+
+      if (next === target.zoom) {
+        this.finishMotion();
+      } else {
+        this.frame = requestAnimationFrame(step);
+      }
+    };
+
+    this.motion = 'zoom';
+    this.frame = requestAnimationFrame(step);
   }
 
   /**
@@ -86,6 +310,7 @@ export class PanZoomManager {
     );
 
     if (duration === 0) {
+      this.stopMotion({ push: false });
       this.hook.viewport.zoom = zoom;
       this.hook.applyViewportTransform();
       this.hook.pushViewportChange();
@@ -108,11 +333,18 @@ export class PanZoomManager {
   }
 
   /**
-   * Fit view to content
+   * Bounding box of all nodes in flow coordinates, or null without nodes
    */
-  fitView(padding = 0.1, duration = 200) {
-    const nodes = this.hook.nodeLayer.querySelectorAll('[data-node-id]');
-    if (nodes.length === 0) return;
+  contentBounds() {
+    return this.nodesBounds(this.hook.nodeLayer.querySelectorAll('[data-node-id]'));
+  }
+
+  /**
+   * Bounding box of some node elements in flow coordinates, or null if
+   * there are none
+   */
+  nodesBounds(nodes) {
+    if (nodes.length === 0) return null;
 
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
@@ -128,17 +360,132 @@ export class PanZoomManager {
       maxY = Math.max(maxY, y + height);
     });
 
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * The area the viewport must stay inside, in flow coordinates: a fixed
+   * `{min, max}` rectangle, or the content bounds grown by `{content: padding}`
+   */
+  translateExtent() {
+    const extent = this.hook.config.translateExtent;
+    if (!extent) return null;
+
+    if (extent.content === undefined) {
+      return { minX: extent.min.x, minY: extent.min.y, maxX: extent.max.x, maxY: extent.max.y };
+    }
+
+    if (this.cachedContentBounds === undefined) this.refreshContentExtent();
+    const bounds = this.cachedContentBounds;
+    if (!bounds) return null;
+    const padding = extent.content;
+    return {
+      minX: bounds.minX - padding,
+      minY: bounds.minY - padding,
+      maxX: bounds.maxX + padding,
+      maxY: bounds.maxY + padding
+    };
+  }
+
+  /**
+   * Re-measure the content for a `{content}` translate extent. Called after
+   * patches, drag and resize ends and node measurement.
+   */
+  refreshContentExtent() {
+    const extent = this.hook.config.translateExtent;
+    this.cachedContentBounds = extent && extent.content !== undefined
+      ? this.contentBounds()
+      : null;
+  }
+
+  /**
+   * Clamp a viewport so the visible area stays inside the translate extent.
+   * Along an axis where the visible area is bigger than the extent, the
+   * extent is centred instead.
+   *
+   * @param {{x: number, y: number, zoom: number}} viewport
+   * @returns {{x: number, y: number, zoom: number}} The same viewport if it fits
+   */
+  clampViewport(viewport) {
+    const extent = this.translateExtent();
+    if (!extent || !this.hook.containerRect) return viewport;
+
+    const { zoom } = viewport;
+    const clampAxis = (offset, size, min, max) => {
+      const visible = size / zoom;
+      const start = visible >= max - min
+        ? (min + max - visible) / 2
+        : Math.min(max - visible, Math.max(min, -offset / zoom));
+      return -start * zoom;
+    };
+
+    const { width, height } = this.hook.containerRect;
+    const x = clampAxis(viewport.x, width, extent.minX, extent.maxX);
+    const y = clampAxis(viewport.y, height, extent.minY, extent.maxY);
+    if (x === viewport.x && y === viewport.y) return viewport;
+    return { x, y, zoom };
+  }
+
+  /**
+   * Fit view to content
+   */
+  fitView(padding = 0.1, duration = 200) {
+    const bounds = this.contentBounds();
+    if (bounds) this.fitBounds(bounds, padding, duration);
+  }
+
+  /**
+   * Fit the given nodes into view, e.g. the selection or search results.
+   * Nodes that aren't rendered are skipped.
+   *
+   * @param {string[]} ids - Node IDs
+   * @param {number} [padding] - Space around them, as a fraction of the container
+   * @param {number} [duration] - Animation length in ms
+   */
+  fitNodes(ids, padding = 0.1, duration = 200) {
+    const nodes = ids
+      .map(id => this.hook.nodeLayer.querySelector(`[data-node-id="${id}"]`))
+      .filter(Boolean);
+    const bounds = this.nodesBounds(nodes);
+    if (bounds) this.fitBounds(bounds, padding, duration);
+  }
+
+  /**
+   * Move the viewport so a node is in the middle of the container
+   *
+   * @param {string} id - Node ID
+   * @param {number} [zoom] - Zoom to end at; keeps the current zoom if omitted
+   * @param {number} [duration] - Animation length in ms
+   */
+  centerOnNode(id, zoom = this.hook.viewport.zoom, duration = 200) {
+    const nodeEl = this.hook.nodeLayer.querySelector(`[data-node-id="${id}"]`);
+    if (!nodeEl) return;
+
+    const { minX, minY, maxX, maxY } = this.nodesBounds([nodeEl]);
+    const targetZoom = Math.max(this.hook.config.minZoom, Math.min(this.hook.config.maxZoom, zoom));
+    const { width, height } = this.hook.containerRect;
+    this.animateViewport(this.hook.viewport, {
+      x: width / 2 - (minX + maxX) / 2 * targetZoom,
+      y: height / 2 - (minY + maxY) / 2 * targetZoom,
+      zoom: targetZoom
+    }, duration);
+  }
+
+  /**
+   * Animate the viewport to frame a flow-space box
+   */
+  fitBounds({ minX, minY, maxX, maxY }, padding, duration) {
     const graphWidth = maxX - minX || 100;
     const graphHeight = maxY - minY || 100;
 
     const paddedWidth = this.hook.containerRect.width * (1 - padding * 2);
     const paddedHeight = this.hook.containerRect.height * (1 - padding * 2);
 
-    const zoom = Math.min(
+    const zoom = Math.max(this.hook.config.minZoom, Math.min(
       paddedWidth / graphWidth,
       paddedHeight / graphHeight,
       this.hook.config.maxZoom
-    );
+    ));
 
     const centerX = minX + graphWidth / 2;
     const centerY = minY + graphHeight / 2;
@@ -153,11 +500,12 @@ export class PanZoomManager {
    * Animate viewport transition
    */
   animateViewport(start, target, duration) {
+    this.stopMotion({ push: false });
     const startTime = performance.now();
 
     const animate = (currentTime) => {
       const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+      const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
       const eased = this.easeOutCubic(progress);
 
       this.hook.viewport = {
@@ -169,13 +517,14 @@ export class PanZoomManager {
       this.hook.applyViewportTransform();
 
       if (progress < 1) {
-        requestAnimationFrame(animate);
+        this.frame = requestAnimationFrame(animate);
       } else {
-        this.hook.pushViewportChange();
+        this.finishMotion();
       }
     };
 
-    requestAnimationFrame(animate);
+    this.motion = 'animation';
+    this.frame = requestAnimationFrame(animate);
   }
 
   /**
@@ -198,5 +547,9 @@ export class PanZoomManager {
 
   destroy() {
     this.isPanning = false;
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.motion = null;
+    clearTimeout(this.settleTimer);
   }
 }
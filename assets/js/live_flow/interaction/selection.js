@@ -43,12 +43,22 @@ export class SelectionManager {
     this.selectionBox.currentX = x;
     this.selectionBox.currentY = y;
 
-    this.hook.pushEvent('lf:selection_box_move', { x, y });
+    const { startX, startY } = this.selectionBox;
+    this.hook.pushEvent('lf:selection_box_move', { x, y, start_x: startX, start_y: startY });
 
     // Find nodes inside the selection box
     this.updateBoxSelection();
   }
 
+  /**
+   * Move the box's anchor with the canvas when the viewport pans under it
+   */
+  shiftSelectionStart(dx, dy) {
+    if (!this.selectionBox) return;
+    this.selectionBox.startX += dx;
+    this.selectionBox.startY += dy;
+  }
+
   /**
    * End box selection
    */
@@ -0,0 +1,113 @@
+/**
+ * Edge label placement utilities for LiveFlow
+ *
+ * Places an edge's label, "+" insert button and delete button on the
+ * rendered path itself (via getPointAtLength) at the edge's
+ * `label_position` fraction, instead of the straight-line midpoint.
+ * Reconnect endpoints are kept on the path's two ends.
+ */
+
+const DEFAULT_LABEL_POSITION = 0.5;
+// Distance (flow px) of the reconnect endpoints from the path ends
+const UPDATER_INSET = 14;
+
+/**
+ * Parse the `data-label-position` fraction of an edge group.
+ */
+function labelFraction(edgeGroup) {
+  const value = parseFloat(edgeGroup.dataset.labelPosition);
+  if (Number.isNaN(value)) return DEFAULT_LABEL_POSITION;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Center a foreignObject on a point, using the given size.
+ */
+function centerForeignObject(fo, point, width, height) {
+  fo.setAttribute('width', width);
+  fo.setAttribute('height', height);
+  fo.setAttribute('x', point.x - width / 2);
+  fo.setAttribute('y', point.y - height / 2);
+}
+
+/**
+ * Get the point at a fraction of an edge's rendered path length.
+ *
+ * @param {Element} edgeGroup - The edge `<g data-edge-id>` element
+ * @param {number} [fraction] - 0.0 (source) to 1.0 (target); defaults to the edge's label position
+ * @returns {{x: number, y: number} | null}
+ */
+export function getEdgePointAt(edgeGroup, fraction = labelFraction(edgeGroup)) {
+  const path = edgeGroup.querySelector('path.lf-edge');
+  if (!path || typeof path.getTotalLength !== 'function') return null;
+
+  try {
+    const length = path.getTotalLength();
+    const point = path.getPointAtLength(length * fraction);
+    return { x: point.x, y: point.y };
+  } catch (_e) {
+    // Paths without geometry (e.g. empty `d`) throw in some browsers
+    return null;
+  }
+}
+
+/**
+ * Move the reconnect endpoint circles onto the rendered path, inset a
+ * little from each end so they aren't hidden under the node handles.
+ */
+function positionEdgeUpdaters(edgeGroup) {
+  const circles = edgeGroup.querySelectorAll('.lf-edge-updater');
+  if (circles.length === 0) return;
+
+  const path = edgeGroup.querySelector('path.lf-edge');
+  let length = 0;
+  try {
+    length = path?.getTotalLength() || 0;
+  } catch (_e) {
+    return;
+  }
+  if (length === 0) return;
+
+  const inset = Math.min(UPDATER_INSET, length / 3) / length;
+  circles.forEach(circle => {
+    const fraction = circle.dataset.edgeEnd === 'source' ? inset : 1 - inset;
+    const point = getEdgePointAt(edgeGroup, fraction);
+    if (!point) return;
+    circle.setAttribute('cx', point.x);
+    circle.setAttribute('cy', point.y);
+  });
+}
+
+/**
+ * Reposition the label, insert and delete buttons (and reconnect
+ * endpoints) of an edge group. Labels are sized to their content;
+ * buttons keep their rendered size.
+ *
+ * @param {Element} edgeGroup - The edge `<g data-edge-id>` element
+ */
+export function positionEdgeLabels(edgeGroup) {
+  positionEdgeUpdaters(edgeGroup);
+
+  const label = edgeGroup.querySelector('.lf-edge-label-wrapper');
+  const insert = edgeGroup.querySelector('.lf-edge-insert-wrapper');
+  const del = edgeGroup.querySelector('.lf-edge-delete-wrapper');
+  if (!label && !insert && !del) return;
+
+  const point = getEdgePointAt(edgeGroup);
+  if (!point) return;
+
+  // Leave the label alone while it's being edited inline
+  if (label && !label.classList.contains('lf-edge-label-editing')) {
+    const content = label.firstElementChild;
+    const width = content?.offsetWidth || parseFloat(label.getAttribute('width')) || 100;
+    const height = content?.offsetHeight || parseFloat(label.getAttribute('height')) || 20;
+    centerForeignObject(label, point, width, height);
+  }
+
+  for (const button of [insert, del]) {
+    if (!button) continue;
+    const width = parseFloat(button.getAttribute('width')) || 24;
+    const height = parseFloat(button.getAttribute('height')) || 24;
+    centerForeignObject(button, point, width, height);
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Floating edge endpoints for LiveFlow
+ *
+ * Floating edges (`path_options.floating: true`) attach where the line
+ * between the two node centres crosses each node's outline instead of at
+ * a handle. Ported from lib/live_flow/paths/floating.ex, which only knows
+ * node boxes; here nodes that mark SVG elements with `data-lf-outline` are
+ * intersected with that shape instead.
+ */
+
+// The crossing is found by walking in from the box border in this many
+// steps, then bisecting the last step this many times (< 0.1px on a 200px node)
+const OUTLINE_STEPS = 16;
+const OUTLINE_BISECTIONS = 6;
+
+function center(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+/**
+ * Check if an edge floats. Self-loops always use their handles.
+ *
+ * @param {Element} edgeGroup - The edge `<g data-edge-id>` element
+ * @param {Object} options - Edge path_options
+ * @returns {boolean}
+ */
+export function isFloatingEdge(edgeGroup, options = {}) {
+  return options.floating === true && edgeGroup.dataset.source !== edgeGroup.dataset.target;
+}
+
+/**
+ * Find where the line from the centre of a node box towards a point
+ * crosses the box. Mirrors border_point/2 in lib/live_flow/paths/floating.ex.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect - Node box
+ * @param {{x: number, y: number}} point - Point to aim at
+ * @returns {{x: number, y: number, position: string}} Border point and the side it's on
+ */
+export function borderPoint(rect, point) {
+  const c = center(rect);
+  const dx = point.x - c.x;
+  const dy = point.y - c.y;
+  const halfW = rect.width / 2;
+  const halfH = rect.height / 2;
+
+  if (dx === 0 && dy === 0) {
+    return { x: c.x + halfW, y: c.y, position: 'right' };
+  }
+
+  // Steeper than the box's diagonal: leaves through the top or bottom
+  if (Math.abs(dy) * halfW > Math.abs(dx) * halfH) {
+    const scale = halfH / Math.abs(dy);
+    return { x: c.x + dx * scale, y: c.y + dy * scale, position: dy > 0 ? 'bottom' : 'top' };
+  }
+
+  const scale = halfW / Math.abs(dx);
+  return { x: c.x + dx * scale, y: c.y + dy * scale, position: dx > 0 ? 'right' : 'left' };
+}
+
+/**
+ * Like borderPoint, but on the node's `data-lf-outline` shape when it has
+ * one. A shape may be made of several outline elements. Points are mapped
+ * into each element's own coordinates through the node's on-screen box,
+ * so any SVG viewBox or transform works.
+ *
+ * @param {Element} nodeEl - The node element
+ * @param {{x: number, y: number, width: number, height: number}} rect - Node box in flow coordinates
+ * @param {{x: number, y: number}} point - Point to aim at
+ * @param {number} zoom - Current viewport zoom
+ * @returns {{x: number, y: number, position: string}}
+ */
+export function outlinePoint(nodeEl, rect, point, zoom) {
+  const border = borderPoint(rect, point);
+  const outlines = Array.from(nodeEl?.querySelectorAll('[data-lf-outline]') || [])
+    .filter(el => typeof el.isPointInFill === 'function' && el.getScreenCTM())
+    .map(el => ({ el, toLocal: el.getScreenCTM().inverse() }));
+  if (outlines.length === 0) return border;
+
+  const screenBox = nodeEl.getBoundingClientRect();
+  const c = center(rect);
+  const at = (t) => ({ x: c.x + (border.x - c.x) * t, y: c.y + (border.y - c.y) * t });
+  const inside = (t) => {
+    const p = at(t);
+    const screen = new DOMPoint(
+      screenBox.left + (p.x - rect.x) * zoom,
+      screenBox.top + (p.y - rect.y) * zoom
+    );
+    return outlines.some(({ el, toLocal }) => el.isPointInFill(screen.matrixTransform(toLocal)));
+  };
+
+  // Walk in from the border to the first point inside the shape
+  let outside = 1;
+  let found = -1;
+  for (let i = OUTLINE_STEPS; i >= 0; i--) {
+    const t = i / OUTLINE_STEPS;
+    if (inside(t)) {
+      found = t;
+      break;
+    }
+    outside = t;
+  }
+  // Shapes that fill their box, or don't cover their own centre
+  if (found === 1 || found === -1) return border;
+
+  let lo = found;
+  let hi = outside;
+  for (let i = 0; i < OUTLINE_BISECTIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (inside(mid)) lo = mid;
+    else hi = mid;
+  }
+
+  return { ...at(lo), position: border.position };
+}
+
+/**
+ * Calculate both endpoints of a floating edge. Edges with waypoints aim at
+ * their first and last waypoint instead of the other node.
+ *
+ * @param {{el: Element, rect: Object}} source - Source node element and box
+ * @param {{el: Element, rect: Object}} target - Target node element and box
+ * @param {Array<{x: number, y: number}>} [waypoints] - The edge's waypoints
+ * @param {number} [zoom] - Current viewport zoom
+ * @returns {{source: {x: number, y: number, position: string}, target: {x: number, y: number, position: string}}}
+ */
+export function calculateFloatingEndpoints(source, target, waypoints = [], zoom = 1) {
+  const towardTarget = waypoints[0] || center(target.rect);
+  const towardSource = waypoints[waypoints.length - 1] || center(source.rect);
+
+  return {
+    source: outlinePoint(source.el, source.rect, towardTarget, zoom),
+    target: outlinePoint(target.el, target.rect, towardSource, zoom)
+  };
+}
@@ -1,10 +1,17 @@
 /**
  * Path calculation utilities for LiveFlow
- * Ported from lib/live_flow/paths/bezier.ex
+ * Ported from lib/live_flow/paths/{bezier,straight,step,smoothstep,waypoints,loop}.ex
+ * so edges keep their server-rendered shape while being updated client-side.
  */
 
+import { calculateOrthogonalRoute } from './routing.js';
+
 const DEFAULT_CURVATURE = 0.25;
 const MIN_OFFSET = 50;
+const DEFAULT_STEP_OFFSET = 20;
+const DEFAULT_BORDER_RADIUS = 5;
+const DEFAULT_LOOP_SIZE = 30;
+const DEFAULT_LOOP_BORDER_RADIUS = 10;
 
 /**
  * Calculate control point based on handle position
@@ -33,6 +40,16 @@ function oppositePosition(position) {
   }
 }
 
+/**
+ * Unit normal to the left of source -> target, or [0, 0] for a zero-length edge
+ */
+function leftNormal(sx, sy, tx, ty) {
+  const dx = tx - sx;
+  const dy = ty - sy;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  return length === 0 ? [0, 0] : [-dy / length, dx / length];
+}
+
 /**
  * Calculate a cubic Bezier SVG path string between two points.
  *
@@ -43,15 +60,517 @@ function oppositePosition(position) {
  * @param {number} ty - Target Y
  * @param {string} [targetPosition] - Target handle position (defaults to opposite of source)
  * @param {number} [curvature] - Bezier curvature factor (default 0.25)
+ * @param {number} [parallelOffset] - Sideways bow separating parallel edges (default 0)
  * @returns {string} SVG path d attribute
  */
-export function calculateBezierPath(sx, sy, sourcePosition, tx, ty, targetPosition, curvature = DEFAULT_CURVATURE) {
+export function calculateBezierPath(sx, sy, sourcePosition, tx, ty, targetPosition, curvature = DEFAULT_CURVATURE, parallelOffset = 0) {
   if (!targetPosition) {
     targetPosition = oppositePosition(sourcePosition);
   }
 
-  const [c1x, c1y] = controlPoint(sx, sy, sourcePosition, curvature, tx, ty);
-  const [c2x, c2y] = controlPoint(tx, ty, targetPosition, curvature, sx, sy);
+  let [c1x, c1y] = controlPoint(sx, sy, sourcePosition, curvature, tx, ty);
+  let [c2x, c2y] = controlPoint(tx, ty, targetPosition, curvature, sx, sy);
+
+  // The curve's midpoint moves by 3/4 of the control point shift
+  if (parallelOffset) {
+    const [nx, ny] = leftNormal(sx, sy, tx, ty);
+    const shift = parallelOffset * 4 / 3;
+    c1x += nx * shift;
+    c1y += ny * shift;
+    c2x += nx * shift;
+    c2y += ny * shift;
+  }
 
   return `M ${sx.toFixed(2)},${sy.toFixed(2)} C ${c1x.toFixed(2)},${c1y.toFixed(2)} ${c2x.toFixed(2)},${c2y.toFixed(2)} ${tx.toFixed(2)},${ty.toFixed(2)}`;
 }
+
+/**
+ * Calculate a straight line SVG path string between two points.
+ *
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {number} [parallelOffset] - Sideways bow separating parallel edges (default 0)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateStraightPath(sx, sy, tx, ty, parallelOffset = 0) {
+  const [nx, ny] = leftNormal(sx, sy, tx, ty);
+  if (!parallelOffset || (nx === 0 && ny === 0)) {
+    return `M ${sx.toFixed(2)},${sy.toFixed(2)} L ${tx.toFixed(2)},${ty.toFixed(2)}`;
+  }
+
+  // The quadratic's midpoint sits halfway to its control point
+  const cx = (sx + tx) / 2 + nx * parallelOffset * 2;
+  const cy = (sy + ty) / 2 + ny * parallelOffset * 2;
+  return `M ${sx.toFixed(2)},${sy.toFixed(2)} Q ${cx.toFixed(2)},${cy.toFixed(2)} ${tx.toFixed(2)},${ty.toFixed(2)}`;
+}
+
+/**
+ * Calculate the corner points of an orthogonal route.
+ * Mirrors calculate_points/7 in lib/live_flow/paths/step.ex.
+ */
+function stepPoints(sx, sy, sourcePosition, tx, ty, targetPosition, offset) {
+  switch (`${sourcePosition}:${targetPosition}`) {
+    case 'right:left':
+      if (tx > sx + offset * 2) {
+        const midX = (sx + tx) / 2;
+        return [[sx, sy], [midX, sy], [midX, ty], [tx, ty]];
+      } else {
+        const midY = (sy + ty) / 2;
+        return [[sx, sy], [sx + offset, sy], [sx + offset, midY], [tx - offset, midY], [tx - offset, ty], [tx, ty]];
+      }
+    case 'left:right':
+      if (sx > tx + offset * 2) {
+        const midX = (sx + tx) / 2;
+        return [[sx, sy], [midX, sy], [midX, ty], [tx, ty]];
+      } else {
+        const midY = (sy + ty) / 2;
+        return [[sx, sy], [sx - offset, sy], [sx - offset, midY], [tx + offset, midY], [tx + offset, ty], [tx, ty]];
+      }
+    case 'bottom:top':
+      if (ty > sy + offset * 2) {
+        const midY = (sy + ty) / 2;
+        return [[sx, sy], [sx, midY], [tx, midY], [tx, ty]];
+      } else {
+        const midX = (sx + tx) / 2;
+        return [[sx, sy], [sx, sy + offset], [midX, sy + offset], [midX, ty - offset], [tx, ty - offset], [tx, ty]];
+      }
+    case 'top:bottom':
+      if (sy > ty + offset * 2) {
+        const midY = (sy + ty) / 2;
+        return [[sx, sy], [sx, midY], [tx, midY], [tx, ty]];
+      } else {
+        const midX = (sx + tx) / 2;
+        return [[sx, sy], [sx, sy - offset], [midX, sy - offset], [midX, ty + offset], [tx, ty + offset], [tx, ty]];
+      }
+
+    // Same side connections
+    case 'right:right': {
+      const maxX = Math.max(sx, tx) + offset;
+      return [[sx, sy], [maxX, sy], [maxX, ty], [tx, ty]];
+    }
+    case 'left:left': {
+      const minX = Math.min(sx, tx) - offset;
+      return [[sx, sy], [minX, sy], [minX, ty], [tx, ty]];
+    }
+    case 'top:top': {
+      const minY = Math.min(sy, ty) - offset;
+      return [[sx, sy], [sx, minY], [tx, minY], [tx, ty]];
+    }
+    case 'bottom:bottom': {
+      const maxY = Math.max(sy, ty) + offset;
+      return [[sx, sy], [sx, maxY], [tx, maxY], [tx, ty]];
+    }
+
+    // Cross directions
+    case 'right:top':
+    case 'right:bottom':
+    case 'left:top':
+    case 'left:bottom':
+      return [[sx, sy], [tx, sy], [tx, ty]];
+    case 'top:right':
+    case 'top:left':
+    case 'bottom:right':
+    case 'bottom:left':
+      return [[sx, sy], [sx, ty], [tx, ty]];
+
+    default:
+      return [[sx, sy], [tx, ty]];
+  }
+}
+
+/**
+ * Move the middle segment of an orthogonal route sideways, towards the
+ * left of source -> target. Mirrors shift_middle_segment/2 in
+ * lib/live_flow/paths/step.ex.
+ */
+function shiftMiddleSegment(points, amount) {
+  const count = points.length;
+  if (!amount || count < 4 || count % 2 !== 0) return points;
+
+  const first = count / 2 - 1;
+  const [sx, sy] = points[0];
+  const [tx, ty] = points[count - 1];
+  const vertical = points[first][0] === points[first + 1][0];
+  const side = (component) => (component < 0 ? -1 : 1);
+
+  return points.map(([x, y], i) => {
+    if (i !== first && i !== first + 1) return [x, y];
+    return vertical ? [x + amount * side(sy - ty), y] : [x, y + amount * side(tx - sx)];
+  });
+}
+
+/**
+ * Calculate a step (90-degree) SVG path string between two points.
+ *
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Handle position ('left'|'right'|'top'|'bottom')
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {string} [targetPosition] - Target handle position (defaults to opposite of source)
+ * @param {number} [offset] - Distance from the node before turning (default 20)
+ * @param {number} [parallelOffset] - Sideways shift separating parallel edges (default 0)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateStepPath(sx, sy, sourcePosition, tx, ty, targetPosition, offset = DEFAULT_STEP_OFFSET, parallelOffset = 0) {
+  if (!targetPosition) {
+    targetPosition = oppositePosition(sourcePosition);
+  }
+
+  const points = stepPoints(sx, sy, sourcePosition, tx, ty, targetPosition, offset);
+  const [[x0, y0], ...rest] = shiftMiddleSegment(points, parallelOffset);
+  const lines = rest.map(([x, y]) => `L ${x.toFixed(2)},${y.toFixed(2)}`).join(' ');
+
+  return `M ${x0.toFixed(2)},${y0.toFixed(2)} ${lines}`;
+}
+
+/**
+ * Calculate a smoothstep (orthogonal with rounded corners) SVG path string.
+ *
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Handle position ('left'|'right'|'top'|'bottom')
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {string} [targetPosition] - Target handle position (defaults to opposite of source)
+ * @param {number} [offset] - Distance from the node before turning (default 20)
+ * @param {number} [borderRadius] - Corner radius (default 5)
+ * @param {number} [parallelOffset] - Sideways shift separating parallel edges (default 0)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateSmoothStepPath(sx, sy, sourcePosition, tx, ty, targetPosition, offset = DEFAULT_STEP_OFFSET, borderRadius = DEFAULT_BORDER_RADIUS, parallelOffset = 0) {
+  if (!targetPosition) {
+    targetPosition = oppositePosition(sourcePosition);
+  }
+
+  const points = stepPoints(sx, sy, sourcePosition, tx, ty, targetPosition, offset);
+  return buildSmoothPath(shiftMiddleSegment(points, parallelOffset), borderRadius);
+}
+
+/**
+ * Join orthogonal points with quadratic-curve corners.
+ * Mirrors smooth_path/2 in lib/live_flow/paths/smoothstep.ex.
+ */
+function buildSmoothPath(points, radius) {
+  const [[x0, y0], ...rest] = points;
+
+  if (rest.length < 2) {
+    const [x1, y1] = rest[0];
+    return `M ${x0.toFixed(2)},${y0.toFixed(2)} L ${x1.toFixed(2)},${y1.toFixed(2)}`;
+  }
+
+  const segments = [`M ${x0.toFixed(2)},${y0.toFixed(2)}`];
+  let [px, py] = [x0, y0];
+
+  for (let i = 0; i < rest.length - 1; i++) {
+    const [cx, cy] = rest[i];
+    const [nx, ny] = rest[i + 1];
+    const { path, endpoint } = roundedCorner(px, py, cx, cy, nx, ny, radius);
+    segments.push(path);
+    [px, py] = endpoint;
+  }
+
+  const [lx, ly] = rest[rest.length - 1];
+  segments.push(`L ${lx.toFixed(2)},${ly.toFixed(2)}`);
+
+  return segments.join(' ');
+}
+
+function roundedCorner(px, py, cx, cy, nx, ny, radius) {
+  const v1x = px - cx;
+  const v1y = py - cy;
+  const len1 = Math.sqrt(v1x * v1x + v1y * v1y);
+
+  const v2x = nx - cx;
+  const v2y = ny - cy;
+  const len2 = Math.sqrt(v2x * v2x + v2y * v2y);
+
+  // Limit radius by available length
+  const r = Math.min(radius, Math.min(len1, len2) / 2);
+
+  if (r < 1) {
+    return { path: `L ${cx.toFixed(2)},${cy.toFixed(2)}`, endpoint: [cx, cy] };
+  }
+
+  const startX = cx + (v1x / len1) * r;
+  const startY = cy + (v1y / len1) * r;
+  const endX = cx + (v2x / len2) * r;
+  const endY = cy + (v2y / len2) * r;
+
+  return {
+    path: `L ${startX.toFixed(2)},${startY.toFixed(2)} Q ${cx.toFixed(2)},${cy.toFixed(2)} ${endX.toFixed(2)},${endY.toFixed(2)}`,
+    endpoint: [endX, endY]
+  };
+}
+
+/**
+ * Insert an elbow corner between consecutive points so every leg is
+ * horizontal or vertical. Mirrors orthogonal_points/2 in
+ * lib/live_flow/paths/waypoints.ex.
+ */
+function orthogonalPoints(points, horizontalFirst) {
+  const route = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const [px, py] = points[i - 1];
+    const [x, y] = points[i];
+    route.push(horizontalFirst ? [x, py] : [px, y], [x, y]);
+  }
+
+  const deduped = route.filter(([x, y], i) =>
+    i === 0 || x !== route[i - 1][0] || y !== route[i - 1][1]);
+  return deduped.length === 1 ? [deduped[0], deduped[0]] : deduped;
+}
+
+function polyline(points) {
+  const [[x0, y0], ...rest] = points;
+  const lines = rest.map(([x, y]) => `L ${x.toFixed(2)},${y.toFixed(2)}`).join(' ');
+  return `M ${x0.toFixed(2)},${y0.toFixed(2)} ${lines}`;
+}
+
+/**
+ * Catmull-Rom spline through all points, emitted as cubic bezier segments.
+ */
+function smoothCurve(points) {
+  const padded = [points[0], ...points, points[points.length - 1]];
+  const segments = [];
+
+  for (let i = 0; i + 3 < padded.length; i++) {
+    const [ax, ay] = padded[i];
+    const [bx, by] = padded[i + 1];
+    const [cx, cy] = padded[i + 2];
+    const [dx, dy] = padded[i + 3];
+    const c1x = bx + (cx - ax) / 6;
+    const c1y = by + (cy - ay) / 6;
+    const c2x = cx - (dx - bx) / 6;
+    const c2y = cy - (dy - by) / 6;
+    segments.push(`C ${c1x.toFixed(2)},${c1y.toFixed(2)} ${c2x.toFixed(2)},${c2y.toFixed(2)} ${cx.toFixed(2)},${cy.toFixed(2)}`);
+  }
+
+  const [x0, y0] = points[0];
+  return `M ${x0.toFixed(2)},${y0.toFixed(2)} ${segments.join(' ')}`;
+}
+
+/**
+ * Calculate an SVG path through the edge's waypoints, keeping the
+ * character of its type. Mirrors lib/live_flow/paths/waypoints.ex.
+ *
+ * @param {string} type - Edge type ('bezier'|'straight'|'step'|'smoothstep')
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Source handle position
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {Array<{x: number, y: number}>} waypoints - Points to pass through, in order
+ * @param {number} [borderRadius] - Corner radius for smoothstep (default 5)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateWaypointPath(type, sx, sy, sourcePosition, tx, ty, waypoints, borderRadius = DEFAULT_BORDER_RADIUS) {
+  const points = [[sx, sy], ...waypoints.map(p => [p.x, p.y]), [tx, ty]];
+  // Elbows start in the direction the source handle faces
+  const horizontalFirst = sourcePosition === 'left' || sourcePosition === 'right';
+
+  switch (type) {
+    case 'straight':
+      return polyline(points);
+    case 'step':
+      return polyline(orthogonalPoints(points, horizontalFirst));
+    case 'smoothstep':
+      return buildSmoothPath(orthogonalPoints(points, horizontalFirst), borderRadius);
+    default:
+      return smoothCurve(points);
+  }
+}
+
+/**
+ * Calculate the SVG path for an edge of the given type, mirroring
+ * LiveFlow.Paths.Path.module_for_type/1 (unknown types fall back to bezier).
+ *
+ * Routed edges are drawn as smoothstep here; see calculateRoutedPath.
+ *
+ * @param {string} type - Edge type ('bezier'|'straight'|'step'|'smoothstep'|'routed')
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Source handle position
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {string} [targetPosition] - Target handle position (defaults to opposite of source)
+ * @param {Object} [options] - Edge path_options (curvature, offset, border_radius, waypoints,
+ *   parallel_offset)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateEdgePath(type, sx, sy, sourcePosition, tx, ty, targetPosition, options = {}) {
+  if (options.waypoints?.length) {
+    return calculateWaypointPath(type, sx, sy, sourcePosition, tx, ty, options.waypoints,
+      options.border_radius ?? DEFAULT_BORDER_RADIUS);
+  }
+
+  const parallelOffset = options.parallel_offset ?? 0;
+
+  switch (type) {
+    case 'straight':
+      return calculateStraightPath(sx, sy, tx, ty, parallelOffset);
+    case 'step':
+      return calculateStepPath(sx, sy, sourcePosition, tx, ty, targetPosition,
+        options.offset ?? DEFAULT_STEP_OFFSET, parallelOffset);
+    case 'smoothstep':
+    case 'routed':
+      return calculateSmoothStepPath(sx, sy, sourcePosition, tx, ty, targetPosition,
+        options.offset ?? DEFAULT_STEP_OFFSET, options.border_radius ?? DEFAULT_BORDER_RADIUS,
+        parallelOffset);
+    default:
+      return calculateBezierPath(sx, sy, sourcePosition, tx, ty, targetPosition,
+        options.curvature ?? DEFAULT_CURVATURE, parallelOffset);
+  }
+}
+
+/**
+ * Calculate the corner points of a self-loop around its node.
+ * Mirrors loop_points/4 in lib/live_flow/paths/loop.ex.
+ */
+function loopPoints(sx, sy, sourcePosition, tx, ty, targetPosition, rect, size) {
+  const direction = (position) => {
+    switch (position) {
+      case 'left':   return [-1, 0];
+      case 'top':    return [0, -1];
+      case 'bottom': return [0, 1];
+      default:       return [1, 0];
+    }
+  };
+  const horizontal = (position) => position === 'left' || position === 'right';
+
+  const [sdx, sdy] = direction(sourcePosition);
+  const [tdx, tdy] = direction(targetPosition);
+  const ssx = sx + sdx * size;
+  const ssy = sy + sdy * size;
+  const tsx = tx + tdx * size;
+  const tsy = ty + tdy * size;
+
+  // Same side: out, across, back in
+  if (sourcePosition === targetPosition) {
+    return [[sx, sy], [ssx, ssy], [tsx, tsy], [tx, ty]];
+  }
+
+  // Opposite sides: around the top or the right of the node
+  if (horizontal(sourcePosition) === horizontal(targetPosition)) {
+    if (horizontal(sourcePosition)) {
+      const top = rect.y - size;
+      return [[sx, sy], [ssx, ssy], [ssx, top], [tsx, top], [tsx, tsy], [tx, ty]];
+    }
+    const right = rect.x + rect.width + size;
+    return [[sx, sy], [ssx, ssy], [right, ssy], [right, tsy], [tsx, tsy], [tx, ty]];
+  }
+
+  // Adjacent sides: around the shared corner
+  const corner = horizontal(sourcePosition) ? [ssx, tsy] : [tsx, ssy];
+  return [[sx, sy], [ssx, ssy], corner, [tsx, tsy], [tx, ty]];
+}
+
+/**
+ * Calculate the SVG path of a self-loop: an edge whose source and target
+ * handles are on the same node. Mirrors lib/live_flow/paths/loop.ex;
+ * loops with waypoints follow them like any other edge.
+ *
+ * @param {string} type - Edge type (`step` gets sharp corners, anything else rounded ones)
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Source handle position
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {string} targetPosition - Target handle position
+ * @param {{x: number, y: number, width: number, height: number}} rect - The node's box
+ * @param {Object} [options] - Edge path_options (size, border_radius, waypoints, parallel_offset)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateSelfLoopPath(type, sx, sy, sourcePosition, tx, ty, targetPosition, rect, options = {}) {
+  if (options.waypoints?.length) {
+    return calculateEdgePath(type, sx, sy, sourcePosition, tx, ty, targetPosition, options);
+  }
+
+  const size = (options.size ?? DEFAULT_LOOP_SIZE) + Math.abs(options.parallel_offset ?? 0);
+  const points = loopPoints(sx, sy, sourcePosition, tx, ty, targetPosition || sourcePosition, rect, size);
+
+  if (type === 'step') {
+    return polyline(points);
+  }
+  return buildSmoothPath(points, options.border_radius ?? DEFAULT_LOOP_BORDER_RADIUS);
+}
+
+/**
+ * Whether an edge is routed around nodes: the `routed` edge type, or a
+ * `step` or `smoothstep` edge with the `route: true` path option. Waypoints
+ * take precedence.
+ *
+ * @param {string} type - Edge type
+ * @param {Object} options - Edge path_options
+ * @returns {boolean}
+ */
+export function isRoutedEdge(type, options = {}) {
+  if (options.waypoints?.length) return false;
+  if (type === 'routed') return true;
+  return options.route === true && (type === 'step' || type === 'smoothstep');
+}
+
+/**
+ * Calculate an orthogonal SVG path that avoids the given node boxes.
+ * `step` edges get sharp corners, everything else rounded ones. Falls back
+ * to calculateEdgePath when no route exists.
+ *
+ * @param {string} type - Edge type
+ * @param {number} sx - Source X
+ * @param {number} sy - Source Y
+ * @param {string} sourcePosition - Source handle position
+ * @param {number} tx - Target X
+ * @param {number} ty - Target Y
+ * @param {string} [targetPosition] - Target handle position (defaults to opposite of source)
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - Node boxes to avoid
+ * @param {Object} [options] - Edge path_options (offset, border_radius, route_margin)
+ * @returns {string} SVG path d attribute
+ */
+export function calculateRoutedPath(type, sx, sy, sourcePosition, tx, ty, targetPosition, obstacles, options = {}) {
+  if (!targetPosition) {
+    targetPosition = oppositePosition(sourcePosition);
+  }
+
+  const points = calculateOrthogonalRoute(
+    { x: sx, y: sy, position: sourcePosition },
+    { x: tx, y: ty, position: targetPosition },
+    obstacles,
+    { offset: options.offset ?? DEFAULT_STEP_OFFSET, margin: options.route_margin }
+  );
+
+  if (!points) {
+    return calculateEdgePath(type, sx, sy, sourcePosition, tx, ty, targetPosition, options);
+  }
+  if (type === 'step' || points.length < 3) {
+    return polyline(points);
+  }
+  return buildSmoothPath(points, options.border_radius ?? DEFAULT_BORDER_RADIUS);
+}
+
+/**
+ * Read the path options rendered on an edge group (`data-path-options`),
+ * plus its `data-parallel-offset` as `parallel_offset`.
+ *
+ * @param {Element} edgeGroup - The edge `<g data-edge-id>` element
+ * @returns {Object} Parsed path options, or an empty object
+ */
+export function getEdgePathOptions(edgeGroup) {
+  const raw = edgeGroup?.dataset.pathOptions;
+  let options = {};
+  if (raw) {
+    try {
+      options = JSON.parse(raw) || {};
+    } catch (_e) {
+      options = {};
+    }
+  }
+
+  // Set by the flow to keep parallel edges apart
+  const parallelOffset = parseFloat(edgeGroup?.dataset.parallelOffset);
+  if (parallelOffset) {
+    options.parallel_offset = parallelOffset;
+  }
+  return options;
+}
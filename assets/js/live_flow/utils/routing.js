@@ -0,0 +1,283 @@
+/**
+ * Obstacle-avoiding orthogonal routing for LiveFlow
+ *
+ * Routes are found with A* on a sparse grid: the only candidate x/y lines
+ * are the sides of the (margin-inflated) node boxes plus the lines through
+ * the two handle stubs.  Every shortest orthogonal route around axis-aligned
+ * boxes can be drawn on those lines, so the grid stays small (O(n²) points
+ * for n nearby nodes) no matter how far apart the nodes are.
+ */
+
+const DEFAULT_OFFSET = 20;
+const DEFAULT_MARGIN = 10;
+// Extra cost of a turn, in flow px, so routes prefer fewer corners
+const BEND_PENALTY = 30;
+// Only nodes within this distance of the stubs' bounding box are obstacles
+const SEARCH_PADDING = 300;
+
+// Directions: 0 = right, 1 = down, 2 = left, 3 = up
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+function handleDirection(position) {
+  switch (position) {
+    case 'left':   return 2;
+    case 'top':    return 3;
+    case 'bottom': return 1;
+    default:       return 0;
+  }
+}
+
+function inflate(rect, margin) {
+  return {
+    left: rect.x - margin,
+    top: rect.y - margin,
+    right: rect.x + rect.width + margin,
+    bottom: rect.y + rect.height + margin
+  };
+}
+
+function containsPoint(r, x, y) {
+  return x > r.left && x < r.right && y > r.top && y < r.bottom;
+}
+
+function uniqueSorted(values) {
+  return Array.from(new Set(values)).sort((a, b) => a - b);
+}
+
+/**
+ * Index of the first value >= target in a sorted array.
+ */
+function lowerBound(values, target) {
+  let lo = 0;
+  let hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Drop duplicate points and points in the middle of a straight run.
+ */
+function simplify(points) {
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const [x, y] = points[i];
+    const [px, py] = result[result.length - 1];
+    if (x === px && y === py) continue;
+
+    if (result.length >= 2) {
+      const [ppx, ppy] = result[result.length - 2];
+      const sameRun = (ppx === px && px === x && Math.sign(py - ppy) === Math.sign(y - py)) ||
+        (ppy === py && py === y && Math.sign(px - ppx) === Math.sign(x - px));
+      if (sameRun) {
+        result[result.length - 1] = [x, y];
+        continue;
+      }
+    }
+    result.push([x, y]);
+  }
+  return result;
+}
+
+/**
+ * Minimal binary min-heap of integer items with numeric priorities.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    const { items, priorities } = this;
+    let i = items.length;
+    items.push(item);
+    priorities.push(priority);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      items[i] = items[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
+    items[i] = item;
+    priorities[i] = priority;
+  }
+
+  pop() {
+    const { items, priorities } = this;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastPriority = priorities.pop();
+    const n = items.length;
+    if (n > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= n) break;
+        const right = left + 1;
+        const child = right < n && priorities[right] < priorities[left] ? right : left;
+        if (priorities[child] >= lastPriority) break;
+        items[i] = items[child];
+        priorities[i] = priorities[child];
+        i = child;
+      }
+      items[i] = lastItem;
+      priorities[i] = lastPriority;
+    }
+    return top;
+  }
+}
+
+/**
+ * Find an orthogonal route between two handles that avoids the given
+ * node boxes.
+ *
+ * @param {{x: number, y: number, position: string}} source - Source handle point
+ * @param {{x: number, y: number, position: string}} target - Target handle point
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - Node boxes
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Length of the straight stub leaving each handle (default 20)
+ * @param {number} [options.margin] - Clearance kept around every node (default 10)
+ * @returns {Array<[number, number]> | null} Route corner points from source to target,
+ *   or null if the handles are boxed in
+ */
+export function calculateOrthogonalRoute(source, target, obstacles, options = {}) {
+  const offset = options.offset ?? DEFAULT_OFFSET;
+  const margin = options.margin ?? DEFAULT_MARGIN;
+
+  const startDir = handleDirection(source.position);
+  const endDir = handleDirection(target.position);
+  const start = [source.x + DX[startDir] * offset, source.y + DY[startDir] * offset];
+  const end = [target.x + DX[endDir] * offset, target.y + DY[endDir] * offset];
+
+  // Nearby boxes only; boxes covering a stub (overlapping nodes) are ignored
+  // so a route always leaves its handle.
+  const area = {
+    left: Math.min(start[0], end[0]) - SEARCH_PADDING,
+    right: Math.max(start[0], end[0]) + SEARCH_PADDING,
+    top: Math.min(start[1], end[1]) - SEARCH_PADDING,
+    bottom: Math.max(start[1], end[1]) + SEARCH_PADDING
+  };
+  const rects = obstacles
+    .map(o => inflate(o, margin))
+    .filter(r => r.right > area.left && r.left < area.right && r.bottom > area.top && r.top < area.bottom)
+    .filter(r => !containsPoint(r, start[0], start[1]) && !containsPoint(r, end[0], end[1]));
+
+  const xs = uniqueSorted([start[0], end[0], (start[0] + end[0]) / 2, ...rects.flatMap(r => [r.left, r.right])]);
+  const ys = uniqueSorted([start[1], end[1], (start[1] + end[1]) / 2, ...rects.flatMap(r => [r.top, r.bottom])]);
+  const nx = xs.length;
+  const ny = ys.length;
+
+  // Grid segments inside a box are blocked. hBlocked[j * nx + i] is the
+  // segment from (i, j) to (i + 1, j); vBlocked[j * nx + i] from (i, j) to (i, j + 1).
+  const hBlocked = new Uint8Array(nx * ny);
+  const vBlocked = new Uint8Array(nx * ny);
+  for (const r of rects) {
+    const i0 = lowerBound(xs, r.left);
+    const i1 = lowerBound(xs, r.right);
+    const j0 = lowerBound(ys, r.top);
+    const j1 = lowerBound(ys, r.bottom);
+    for (let j = j0 + 1; j < j1; j++) {
+      for (let i = i0; i < i1; i++) hBlocked[j * nx + i] = 1;
+    }
+    for (let j = j0; j < j1; j++) {
+      for (let i = i0 + 1; i < i1; i++) vBlocked[j * nx + i] = 1;
+    }
+  }
+
+  const startIndex = lowerBound(ys, start[1]) * nx + lowerBound(xs, start[0]);
+  const endIndex = lowerBound(ys, end[1]) * nx + lowerBound(xs, end[0]);
+  // The route must arrive at the target stub heading into the handle
+  const arriveDir = (endDir + 2) % 4;
+
+  // A* over (grid point, heading) states
+  const stateCount = nx * ny * 4;
+  const gScore = new Float64Array(stateCount).fill(Infinity);
+  const fScore = new Float64Array(stateCount).fill(Infinity);
+  const cameFrom = new Int32Array(stateCount).fill(-1);
+  const closed = new Uint8Array(stateCount);
+  const heap = new MinHeap();
+
+  const heuristic = (index) => {
+    const x = xs[index % nx];
+    const y = ys[Math.floor(index / nx)];
+    return Math.abs(x - end[0]) + Math.abs(y - end[1]);
+  };
+
+  const first = startIndex * 4 + startDir;
+  gScore[first] = 0;
+  fScore[first] = heuristic(startIndex);
+  heap.push(first, fScore[first]);
+
+  let goal = -1;
+  let goalCost = Infinity;
+
+  while (heap.size > 0) {
+    const state = heap.pop();
+    if (closed[state]) continue;
+    closed[state] = 1;
+    if (fScore[state] >= goalCost) break;
+
+    const index = state >> 2;
+    const dir = state & 3;
+
+    if (index === endIndex) {
+      const cost = gScore[state] + (dir === arriveDir ? 0 : BEND_PENALTY);
+      if (cost < goalCost) {
+        goalCost = cost;
+        goal = state;
+      }
+      continue;
+    }
+
+    const i = index % nx;
+    const j = (index - i) / nx;
+
+    for (let d = 0; d < 4; d++) {
+      // Never double back on the current heading
+      if (d === (dir + 2) % 4) continue;
+
+      const ni = i + DX[d];
+      const nj = j + DY[d];
+      if (ni < 0 || ni >= nx || nj < 0 || nj >= ny) continue;
+
+      const blocked = d === 0 ? hBlocked[j * nx + i]
+        : d === 2 ? hBlocked[j * nx + ni]
+          : d === 1 ? vBlocked[j * nx + i]
+            : vBlocked[nj * nx + i];
+      if (blocked) continue;
+
+      const next = (nj * nx + ni) * 4 + d;
+      if (closed[next]) continue;
+
+      const length = Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]);
+      const cost = gScore[state] + length + (d === dir ? 0 : BEND_PENALTY);
+      if (cost < gScore[next]) {
+        gScore[next] = cost;
+        fScore[next] = cost + heuristic(next >> 2);
+        cameFrom[next] = state;
+        heap.push(next, fScore[next]);
+      }
+    }
+  }
+
+  if (goal === -1) return null;
+
+  const corners = [];
+  for (let state = goal; state !== -1; state = cameFrom[state]) {
+    const index = state >> 2;
+    corners.push([xs[index % nx], ys[Math.floor(index / nx)]]);
+  }
+  corners.reverse();
+
+  return simplify([[source.x, source.y], ...corners, [target.x, target.y]]);
+}
@@ -0,0 +1,103 @@
+/**
+ * Client-side connection validation for LiveFlow
+ *
+ * Mirrors the built-in validators in lib/live_flow/validation.ex, so a
+ * connection the server would reject can be shown as invalid while it is
+ * still being dragged. Flows opt in with `connection_validators`, which the
+ * server renders as `[{name, ...opts}]`. Reasons match the server's.
+ *
+ * The graph comes from the rendered edges, so it only knows what the DOM
+ * knows: `nodes_exist` and `handles_valid` always pass here (the handle
+ * under the pointer exists), and the server stays the authority.
+ */
+
+/**
+ * Read the rendered edges into a plain list.
+ *
+ * @param {Element} edgeLayer - The edge layer SVG
+ * @returns {Array<{id: string, source: string, target: string, sourceHandle: ?string, targetHandle: ?string}>}
+ */
+export function readEdges(edgeLayer) {
+  return Array.from(edgeLayer?.querySelectorAll('g[data-edge-id]') || []).map(g => ({
+    id: g.dataset.edgeId,
+    source: g.dataset.source,
+    target: g.dataset.target,
+    sourceHandle: g.dataset.sourceHandle ?? null,
+    targetHandle: g.dataset.targetHandle ?? null
+  }));
+}
+
+function noDuplicateEdges(edges, params) {
+  const exists = edges.some(e =>
+    e.source === params.source &&
+    e.target === params.target &&
+    (params.sourceHandle == null || e.sourceHandle === params.sourceHandle) &&
+    (params.targetHandle == null || e.targetHandle === params.targetHandle)
+  );
+  return exists ? 'Connection already exists' : null;
+}
+
+function typesCompatible(edges, params) {
+  const { sourceType, targetType } = params;
+  if (!sourceType || !targetType || sourceType === targetType) return null;
+  return `Incompatible types: ${sourceType} → ${targetType}`;
+}
+
+function maxConnections(edges, params, { max }) {
+  const sourceCount = edges.filter(e =>
+    e.source === params.source &&
+    (params.sourceHandle == null || e.sourceHandle === params.sourceHandle)
+  ).length;
+  const targetCount = edges.filter(e =>
+    e.target === params.target &&
+    (params.targetHandle == null || e.targetHandle === params.targetHandle)
+  ).length;
+
+  if (sourceCount >= max) return `Source handle already has ${max} connection(s)`;
+  if (targetCount >= max) return `Target handle already has ${max} connection(s)`;
+  return null;
+}
+
+function noCycles(edges, params) {
+  // Is there already a path from the target back to the source?
+  const visited = new Set();
+  const queue = [params.target];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === params.source) return 'Connection would create a cycle';
+    if (visited.has(current)) continue;
+    visited.add(current);
+    edges.forEach(e => {
+      if (e.source === current) queue.push(e.target);
+    });
+  }
+  return null;
+}
+
+const VALIDATORS = {
+  no_duplicate_edges: noDuplicateEdges,
+  types_compatible: typesCompatible,
+  max_connections: maxConnections,
+  no_cycles: noCycles,
+  nodes_exist: () => null,
+  handles_valid: () => null
+};
+
+/**
+ * Run a validator spec against a connection, stopping at the first failure
+ * like `LiveFlow.Validation.validate/3`.
+ *
+ * @param {Array<{name: string}>} spec - Validators and their options
+ * @param {Array} edges - Edges from readEdges()
+ * @param {{source: string, target: string, sourceHandle: ?string, targetHandle: ?string,
+ *          sourceType: ?string, targetType: ?string}} params - The connection
+ * @returns {?string} The reason it's rejected, or null if it's allowed
+ */
+export function validateConnection(spec, edges, params) {
+  for (const { name, ...opts } of spec) {
+    const validator = VALIDATORS[name];
+    const reason = validator ? validator(edges, params, opts) : null;
+    if (reason) return reason;
+  }
+  return null;
+}
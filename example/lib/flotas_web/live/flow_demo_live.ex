@@ -7,6 +7,10 @@ defmodule FlotasWeb.FlowDemoLive do
 
   alias LiveFlow.{State, Node, Edge, Handle, History, Clipboard, Serializer, Layout}
   alias LiveFlow.Validation
+  alias LiveFlow.Changes.EdgeChange
+
+  # Checked in the browser while connecting, and again on the server
+  @validators [:no_duplicate_edges, :nodes_exist, {:max_connections, max: 3}]
 
   @impl true
   def mount(_params, _session, socket) do
@@ -90,13 +94,20 @@ defmodule FlotasWeb.FlowDemoLive do
             opts={
               %{
                 controls: true,
+                controls_lock: true,
                 minimap: true,
                 background: :dots,
                 fit_view_on_init: true,
                 snap_to_grid: true,
                 snap_grid: {20, 20},
                 theme: @lf_theme,
-                helper_lines: true
+                helper_lines: true,
+                allow_self_loops: true,
+                connect_to_pane: true,
+                connect_to_pane_types: [{"step", "Step"}, {"end", "End"}],
+                connection_validators: @validators,
+                splice_edges: true,
+                minimap_node_colors: %{group: "#c7d2fe"}
               }
             }
             node_types={@node_types}
@@ -253,14 +264,77 @@ defmodule FlotasWeb.FlowDemoLive do
 
   @impl true
   def handle_event("lf:connect_end", params, socket) do
-    case Validation.Connection.validate_and_create(socket.assigns.flow, params) do
+    case Validation.Connection.validate_and_create(socket.assigns.flow, params,
+           allow_self_loops: true,
+           validators: Validation.from_spec(@validators)
+         ) do
       {:ok, edge} ->
         history = History.push(socket.assigns.history, socket.assigns.flow)
         flow = State.add_edge(socket.assigns.flow, edge)
         {:noreply, assign(socket, flow: flow, history: history)}
 
-      {:error, _reason} ->
-        {:noreply, socket}
+      {:error, reason} ->
+        {:noreply, Validation.Connection.push_rejection(socket, params, reason)}
+    end
+  end
+
+  @impl true
+  def handle_event("lf:connect_to_pane", params, socket) do
+    flow = socket.assigns.flow
+    %{"x" => x, "y" => y} = params["position"]
+    node_id = "node-#{System.unique_integer([:positive])}"
+
+    # Centre the new node on the drop point; "end" nodes only take connections
+    handles =
+      case params["node_type"] do
+        "end" -> [Handle.target(:left)]
+        _ -> [Handle.target(:left), Handle.source(:right)]
+      end
+
+    label = if params["node_type"] == "end", do: "End", else: "Step"
+    node = Node.new(node_id, %{x: x - 50, y: y - 20}, %{label: label}, handles: handles)
+
+    with_node = State.add_node(flow, node)
+    conn_params = Validation.Connection.pane_params(params, node_id)
+
+    case Validation.Connection.validate_and_create(with_node, conn_params) do
+      {:ok, edge} ->
+        history = History.push(socket.assigns.history, flow)
+        {:noreply, assign(socket, flow: State.add_edge(with_node, edge), history: history)}
+
+      {:error, reason} ->
+        {:noreply, Validation.Connection.push_rejection(socket, params, reason)}
+    end
+  end
+
+  @impl true
+  def handle_event("lf:splice_into_edge", params, socket) do
+    case Validation.Connection.validate_and_splice(socket.assigns.flow, params,
+           allow_self_loops: true,
+           validators: Validation.from_spec(@validators)
+         ) do
+      {:ok, flow} ->
+        history = History.push(socket.assigns.history, socket.assigns.flow)
+        {:noreply, assign(socket, flow: flow, history: history)}
+
+      {:error, reason} ->
+        {:noreply, Validation.Connection.push_rejection(socket, params, reason)}
+    end
+  end
+
+  @impl true
+  def handle_event("lf:edge_reconnect", params, socket) do
+    case Validation.Connection.validate_and_reconnect(socket.assigns.flow, params,
+           allow_self_loops: true,
+           validators: Validation.from_spec(@validators)
+         ) do
+      {:ok, edge} ->
+        history = History.push(socket.assigns.history, socket.assigns.flow)
+        flow = State.add_edge(socket.assigns.flow, edge)
+        {:noreply, assign(socket, flow: flow, history: history)}
+
+      {:error, reason} ->
+        {:noreply, Validation.Connection.push_rejection(socket, params, reason)}
     end
   end
 
@@ -292,16 +366,17 @@ defmodule FlotasWeb.FlowDemoLive do
 
   @impl true
   def handle_event("lf:edge_change", %{"changes" => changes}, socket) do
-    has_removes = Enum.any?(changes, &(&1["type"] == "remove"))
+    has_edits = Enum.any?(changes, &(&1["type"] in ["remove", "waypoints"]))
 
     history =
-      if has_removes,
+      if has_edits,
         do: History.push(socket.assigns.history, socket.assigns.flow),
         else: socket.assigns.history
 
     flow =
       Enum.reduce(changes, socket.assigns.flow, fn
         %{"type" => "remove", "id" => id}, acc -> State.remove_edge(acc, id)
+        %{"type" => "waypoints"} = change, acc -> EdgeChange.apply_change(acc, change)
         _change, acc -> acc
       end)
 
@@ -426,7 +501,8 @@ defmodule FlotasWeb.FlowDemoLive do
           node
           | width: Map.get(change, "width"),
             height: Map.get(change, "height"),
-            measured: true
+            measured: true,
+            resizing: Map.get(change, "resizing", node.resizing) || false
         }
 
         %{flow | nodes: Map.put(flow.nodes, id, updated_node)}
@@ -437,6 +513,10 @@ defmodule FlotasWeb.FlowDemoLive do
     State.remove_node(flow, id)
   end
 
+  defp apply_node_change(flow, %{"type" => "reparent", "id" => id} = change) do
+    State.set_parent(flow, id, change["parent_id"])
+  end
+
   defp apply_node_change(flow, _change), do: flow
 
   defp maybe_push_history_for_drag(history, flow, %{"type" => "position", "id" => id} = change) do
@@ -455,6 +535,22 @@ defmodule FlotasWeb.FlowDemoLive do
     end
   end
 
+  defp maybe_push_history_for_drag(history, flow, %{"type" => "dimensions", "id" => id} = change) do
+    resizing = Map.get(change, "resizing", false)
+
+    was_resizing =
+      case Map.get(flow.nodes, id) do
+        nil -> false
+        node -> node.resizing
+      end
+
+    if resizing and not was_resizing do
+      History.push(history, flow)
+    else
+      history
+    end
+  end
+
   defp maybe_push_history_for_drag(history, _flow, _change), do: history
 
   defp create_demo_flow do
@@ -463,20 +559,33 @@ defmodule FlotasWeb.FlowDemoLive do
         type: :default,
         handles: [Handle.source(:right)]
       ),
+      Node.new("processing", %{x: 220, y: 10}, %{label: "Processing"},
+        type: :group,
+        width: 190,
+        height: 320
+      ),
       Node.new("process-1", %{x: 250, y: 50}, %{label: "Process A"},
+        parent_id: "processing",
         handles: [Handle.target(:left), Handle.source(:right)]
       ),
       Node.new("process-2", %{x: 250, y: 250}, %{label: "Process B"},
+        parent_id: "processing",
+        extent: :parent,
         handles: [Handle.target(:left), Handle.source(:right)]
       ),
       Node.new("merge", %{x: 450, y: 150}, %{label: "Merge"},
+        resizable: true,
+        resize_options: %{min_width: 80, min_height: 40},
         handles: [
           Handle.target(:left, id: "in-1"),
           Handle.target(:top, id: "in-2"),
           Handle.source(:right)
         ]
       ),
-      Node.new("end", %{x: 650, y: 150}, %{label: "End"}, handles: [Handle.target(:left)])
+      # e5 has no explicit handles; dragging its end onto "in-top" reconnects it
+      Node.new("end", %{x: 650, y: 150}, %{label: "End"},
+        handles: [Handle.target(:left), Handle.target(:top, id: "in-top")]
+      )
     ]
 
     edges = [
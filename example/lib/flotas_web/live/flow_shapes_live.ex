@@ -174,6 +174,7 @@ defmodule FlotasWeb.FlowShapesLive do
       x="1" y="1" width={@w - 2} height={@h - 2}
       rx="12" ry="12"
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -186,6 +187,7 @@ defmodule FlotasWeb.FlowShapesLive do
       cx={div(@w, 2)} cy={div(@h, 2)}
       rx={div(@w, 2) - 1} ry={div(@h, 2) - 1}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -201,6 +203,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -219,6 +222,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -235,6 +239,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -245,9 +250,17 @@ defmodule FlotasWeb.FlowShapesLive do
     assigns = assign(assigns, :ry, 15)
 
     ~H"""
-    <ellipse cx={div(@w, 2)} cy={@h - @ry} rx={div(@w, 2) - 1} ry={@ry} fill={@color} />
-    <rect x="1" y={@ry} width={@w - 2} height={@h - 2 * @ry} fill={@color} />
-    <ellipse cx={div(@w, 2)} cy={@ry} rx={div(@w, 2) - 1} ry={@ry} fill={@color} />
+    <ellipse
+      cx={div(@w, 2)} cy={@h - @ry} rx={div(@w, 2) - 1} ry={@ry}
+      fill={@color}
+      data-lf-outline
+    />
+    <rect x="1" y={@ry} width={@w - 2} height={@h - 2 * @ry} fill={@color} data-lf-outline />
+    <ellipse
+      cx={div(@w, 2)} cy={@ry} rx={div(@w, 2) - 1} ry={@ry}
+      fill={@color}
+      data-lf-outline
+    />
     <ellipse cx={div(@w, 2)} cy={@ry} rx={div(@w, 2) - 1} ry={@ry} fill="rgba(255,255,255,0.15)" />
     """
   end
@@ -257,6 +270,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <rect
       x="1" y="1" width={@w - 2} height={@h - 2}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -273,6 +287,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -295,6 +310,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -310,6 +326,7 @@ defmodule FlotasWeb.FlowShapesLive do
     <polygon
       points={@points}
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -322,6 +339,7 @@ defmodule FlotasWeb.FlowShapesLive do
       x="1" y="1" width={@w - 2} height={@h - 2}
       rx="4" ry="4"
       fill={@color}
+      data-lf-outline
       stroke={if(@selected, do: "rgba(0,0,0,0.4)", else: "none")}
       stroke-width={if(@selected, do: "2", else: "0")}
     />
@@ -820,15 +838,18 @@ defmodule FlotasWeb.FlowShapesLive do
         target_handle: "t",
         marker_end: %{type: :arrow}
       ),
+      # Floating edges attach to the shape outlines instead of the handles
       Edge.new("e2", "diamond", "circle",
         source_handle: "s-left",
         target_handle: "t",
-        marker_end: %{type: :arrow}
+        marker_end: %{type: :arrow},
+        path_options: %{floating: true}
       ),
       Edge.new("e3", "diamond", "hexagon",
         source_handle: "s-right",
         target_handle: "t",
-        marker_end: %{type: :arrow}
+        marker_end: %{type: :arrow},
+        path_options: %{floating: true}
       ),
       Edge.new("e4", "diamond", "arrow-rect",
         source_handle: "s-bottom",
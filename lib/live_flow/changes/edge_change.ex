@@ -11,6 +11,7 @@ defmodule LiveFlow.Changes.EdgeChange do
     * `:remove` - Edge was removed
     * `:select` - Edge selection changed
     * `:replace` - Edge was replaced
+    * `:waypoints` - Edge waypoints were added, moved or removed
 
   ## Examples
 
@@ -19,6 +20,9 @@ defmodule LiveFlow.Changes.EdgeChange do
 
       # Edge selection
       %{"type" => "select", "id" => "e1", "selected" => true}
+
+      # Edge waypoints edited
+      %{"type" => "waypoints", "id" => "e1", "waypoints" => [%{"x" => 120, "y" => 40}]}
   """
 
   alias LiveFlow.{State, Edge}
@@ -44,11 +48,18 @@ defmodule LiveFlow.Changes.EdgeChange do
           edge: map()
         }
 
+  @type waypoints_change :: %{
+          type: :waypoints,
+          id: String.t(),
+          waypoints: [%{x: number(), y: number()}]
+        }
+
   @type t ::
           add_change()
           | remove_change()
           | selection_change()
           | replace_change()
+          | waypoints_change()
 
   @doc """
   Applies a single change to the state.
@@ -109,6 +120,13 @@ defmodule LiveFlow.Changes.EdgeChange do
     |> State.add_edge(edge)
   end
 
+  def apply_change(state, %{"type" => "waypoints"} = change) do
+    case State.get_edge(state, change["id"]) do
+      nil -> state
+      edge -> State.add_edge(state, Edge.set_waypoints(edge, change["waypoints"] || []))
+    end
+  end
+
   # Handle atom keys (when created from Elixir)
   def apply_change(state, %{type: _} = change) do
     apply_change(state, stringify_keys(change))
@@ -158,6 +176,18 @@ defmodule LiveFlow.Changes.EdgeChange do
     }
   end
 
+  @doc """
+  Creates a waypoints change. An empty list removes all waypoints.
+  """
+  @spec waypoints(String.t(), [map()]) :: map()
+  def waypoints(id, waypoints) do
+    %{
+      "type" => "waypoints",
+      "id" => id,
+      "waypoints" => waypoints
+    }
+  end
+
   defp parse_edge_type(nil), do: :bezier
   defp parse_edge_type(type) when is_atom(type), do: type
 
@@ -167,6 +197,7 @@ defmodule LiveFlow.Changes.EdgeChange do
       "straight" -> :straight
       "step" -> :step
       "smoothstep" -> :smoothstep
+      "routed" -> :routed
       other -> String.to_existing_atom(other)
     end
   rescue
@@ -13,6 +13,7 @@ defmodule LiveFlow.Changes.NodeChange do
     * `:remove` - Node was removed
     * `:add` - Node was added
     * `:replace` - Node was replaced entirely
+    * `:reparent` - Node was dropped into or out of a group
 
   ## Examples
 
@@ -21,6 +22,12 @@ defmodule LiveFlow.Changes.NodeChange do
 
       # Dimensions change after node render
       %{"type" => "dimensions", "id" => "node-1", "width" => 150, "height" => 50}
+
+      # Node dropped into a group (`"parent_id" => nil` when dropped out of one)
+      %{"type" => "reparent", "id" => "node-1", "parent_id" => "group-1"}
+
+      # Dimensions change from a user resize (`resizing` is true while in progress)
+      %{"type" => "dimensions", "id" => "node-1", "width" => 240, "height" => 120, "resizing" => false}
   """
 
   alias LiveFlow.{State, Node}
@@ -36,7 +43,8 @@ defmodule LiveFlow.Changes.NodeChange do
           type: :dimensions,
           id: String.t(),
           width: number(),
-          height: number()
+          height: number(),
+          resizing: boolean() | nil
         }
 
   @type selection_change :: %{
@@ -60,6 +68,12 @@ defmodule LiveFlow.Changes.NodeChange do
           node: map()
         }
 
+  @type reparent_change :: %{
+          type: :reparent,
+          id: String.t(),
+          parent_id: String.t() | nil
+        }
+
   @type t ::
           position_change()
           | dimensions_change()
@@ -67,6 +81,7 @@ defmodule LiveFlow.Changes.NodeChange do
           | remove_change()
           | add_change()
           | replace_change()
+          | reparent_change()
 
   @doc """
   Applies a single change to the state.
@@ -88,7 +103,13 @@ defmodule LiveFlow.Changes.NodeChange do
     height = change["height"]
 
     State.update_node(state, id, fn node ->
-      Node.set_dimensions(node, width, height)
+      node = Node.set_dimensions(node, width, height)
+
+      # Measurement changes carry no "resizing" key; only user resizes toggle it
+      case Map.fetch(change, "resizing") do
+        {:ok, resizing} -> Node.set_resizing(node, resizing || false)
+        :error -> node
+      end
     end)
   end
 
@@ -137,6 +158,10 @@ defmodule LiveFlow.Changes.NodeChange do
     |> State.add_node(node)
   end
 
+  def apply_change(state, %{"type" => "reparent"} = change) do
+    State.set_parent(state, change["id"], change["parent_id"])
+  end
+
   # Handle atom keys (when created from Elixir)
   def apply_change(state, %{type: _} = change) do
     apply_change(state, stringify_keys(change))
@@ -178,6 +203,16 @@ defmodule LiveFlow.Changes.NodeChange do
     }
   end
 
+  @doc """
+  Creates a dimensions change from a user resize.
+  """
+  @spec resize(String.t(), number(), number(), boolean()) :: map()
+  def resize(id, width, height, resizing \\ false) do
+    id
+    |> dimensions(width, height)
+    |> Map.put("resizing", resizing)
+  end
+
   @doc """
   Creates a selection change.
   """
@@ -201,6 +236,18 @@ defmodule LiveFlow.Changes.NodeChange do
     }
   end
 
+  @doc """
+  Creates a reparent change. Pass `nil` to detach the node from its group.
+  """
+  @spec reparent(String.t(), String.t() | nil) :: map()
+  def reparent(id, parent_id) do
+    %{
+      "type" => "reparent",
+      "id" => id,
+      "parent_id" => parent_id
+    }
+  end
+
   defp normalize_position(%{"x" => x, "y" => y}), do: %{x: x / 1.0, y: y / 1.0}
   defp normalize_position(%{x: x, y: y}), do: %{x: x / 1.0, y: y / 1.0}
 
@@ -9,7 +9,7 @@ defmodule LiveFlow.Components.Edge do
   use Phoenix.Component
 
   alias LiveFlow.{Edge, Node, Handle}
-  alias LiveFlow.Paths.Path
+  alias LiveFlow.Paths.{Floating, Path}
 
   @doc """
   Renders an edge between two nodes.
@@ -19,6 +19,9 @@ defmodule LiveFlow.Components.Edge do
     * `:edge` - The `LiveFlow.Edge` struct (required)
     * `:source_node` - Source `LiveFlow.Node` struct (required)
     * `:target_node` - Target `LiveFlow.Node` struct (required)
+    * `:reconnectable` - Whether selected edges show draggable endpoints (default: `true`)
+    * `:parallel_offset` - Sideways offset separating it from parallel edges (default: `0`),
+      see `LiveFlow.Edge.parallel_offsets/2`
     * `:class` - Additional CSS classes
 
   ## Examples
@@ -28,6 +31,8 @@ defmodule LiveFlow.Components.Edge do
   attr :edge, Edge, required: true
   attr :source_node, Node, required: true
   attr :target_node, Node, required: true
+  attr :reconnectable, :boolean, default: true
+  attr :parallel_offset, :any, default: 0
   attr :class, :string, default: nil
 
   def edge(assigns) do
@@ -35,24 +40,38 @@ defmodule LiveFlow.Components.Edge do
     source_node = assigns.source_node
     target_node = assigns.target_node
 
-    # Calculate handle positions
-    {source_pos, source_handle_position} =
-      get_handle_position(source_node, edge.source_handle, :source)
+    waypoints = Edge.waypoints(edge)
 
-    {target_pos, target_handle_position} =
-      get_handle_position(target_node, edge.target_handle, :target)
+    # Calculate handle positions; floating edges attach to the facing borders
+    {{source_pos, source_handle_position}, {target_pos, target_handle_position}} =
+      if Edge.floating?(edge) do
+        floating_endpoints(source_node, target_node, waypoints)
+      else
+        {get_handle_position(source_node, edge.source_handle, :source),
+         get_handle_position(target_node, edge.target_handle, :target)}
+      end
 
     # Calculate path
     path_module = Path.module_for_type(edge.type)
 
+    path_opts =
+      edge.path_options
+      |> Map.delete("waypoints")
+      |> Map.put(:waypoints, waypoints)
+      |> Map.put(:parallel_offset, assigns.parallel_offset)
+      |> Map.to_list()
+
     path_result =
       if source_pos && target_pos do
-        Path.calculate(
-          path_module,
-          %{x: source_pos.x, y: source_pos.y, position: source_handle_position},
-          %{x: target_pos.x, y: target_pos.y, position: target_handle_position},
-          Map.to_list(edge.path_options)
-        )
+        source = %{x: source_pos.x, y: source_pos.y, position: source_handle_position}
+        target = %{x: target_pos.x, y: target_pos.y, position: target_handle_position}
+
+        if Edge.self_loop?(edge) and waypoints == [] do
+          loop_opts = [node: node_bounds(source_node), style: edge.type] ++ path_opts
+          Path.calculate(LiveFlow.Paths.Loop, source, target, loop_opts)
+        else
+          Path.calculate(path_module, source, target, path_opts)
+        end
       else
         %{path: "", label_x: 0, label_y: 0}
       end
@@ -62,6 +81,10 @@ defmodule LiveFlow.Components.Edge do
       |> assign(:path, path_result.path)
       |> assign(:label_x, path_result.label_x)
       |> assign(:label_y, path_result.label_y)
+      |> assign(:source_pos, source_pos)
+      |> assign(:target_pos, target_pos)
+      |> assign(:waypoints, Enum.with_index(waypoints))
+      |> assign(:show_updaters, show_updaters?(assigns, source_pos, target_pos))
       |> assign(:marker_start_id, marker_id(edge.marker_start))
       |> assign(:marker_end_id, marker_id(edge.marker_end))
 
@@ -73,6 +96,11 @@ defmodule LiveFlow.Components.Edge do
       data-target={@edge.target}
       data-source-handle={@edge.source_handle}
       data-target-handle={@edge.target_handle}
+      data-edge-type={@edge.type}
+      data-label-position={@edge.label_position}
+      data-path-options={path_options_json(@edge)}
+      data-parallel-offset={@parallel_offset != 0 && @parallel_offset}
+      data-deletable={@edge.deletable && "true"}
     >
       <%!-- Invisible wider path for easier selection --%>
       <path
@@ -156,6 +184,36 @@ defmodule LiveFlow.Components.Edge do
           </svg>
         </div>
       </foreignObject>
+      <%!-- Draggable waypoints when selected (double-click to remove) --%>
+      <circle
+        :for={{point, index} <- @waypoints}
+        :if={@edge.selected}
+        class="lf-edge-waypoint"
+        data-edge-id={@edge.id}
+        data-waypoint-index={index}
+        cx={point.x}
+        cy={point.y}
+        r="4"
+      />
+      <%!-- Draggable endpoints for reconnecting when selected --%>
+      <%= if @show_updaters do %>
+        <circle
+          class="lf-edge-updater"
+          data-edge-id={@edge.id}
+          data-edge-end="source"
+          cx={@source_pos.x}
+          cy={@source_pos.y}
+          r="5"
+        />
+        <circle
+          class="lf-edge-updater"
+          data-edge-id={@edge.id}
+          data-edge-end="target"
+          cx={@target_pos.x}
+          cy={@target_pos.y}
+          r="5"
+        />
+      <% end %>
     </g>
     """
   end
@@ -225,11 +283,32 @@ defmodule LiveFlow.Components.Edge do
     end
   end
 
+  defp floating_endpoints(source_node, target_node, waypoints) do
+    {source, target} =
+      Floating.endpoints(node_bounds(source_node), node_bounds(target_node), waypoints)
+
+    {{Map.take(source, [:x, :y]), source.position}, {Map.take(target, [:x, :y]), target.position}}
+  end
+
+  defp node_bounds(%Node{position: pos, width: w, height: h}) do
+    %{x: pos.x, y: pos.y, width: w || 100, height: h || 40}
+  end
+
   defp opposite_position(:left), do: :right
   defp opposite_position(:right), do: :left
   defp opposite_position(:top), do: :bottom
   defp opposite_position(:bottom), do: :top
 
+  defp show_updaters?(%{edge: edge, reconnectable: reconnectable}, source_pos, target_pos) do
+    edge.selected and edge.reconnectable and reconnectable and source_pos != nil and
+      target_pos != nil
+  end
+
+  # Path options are shipped to the JS hook so client-side path recalculation
+  # (during drag) produces the same shape as the server render.
+  defp path_options_json(%Edge{path_options: opts}) when map_size(opts) == 0, do: nil
+  defp path_options_json(%Edge{path_options: opts}), do: Jason.encode!(opts)
+
   defp marker_id(marker), do: LiveFlow.Components.Marker.marker_url(marker)
 
   defp edge_style(%Edge{style: style}) when map_size(style) == 0, do: nil
@@ -30,18 +30,79 @@ defmodule LiveFlow.Components.Flow do
   ## Options
 
     * `:pan_on_drag` - Enable panning by dragging canvas (default: true)
-    * `:zoom_on_scroll` - Enable zooming with scroll wheel (default: true)
+    * `:zoom_on_scroll` - Enable zooming with scroll wheel and trackpad pinch
+      (default: true)
+    * `:pan_on_scroll` - Pan with the scroll wheel or two-finger trackpad scrolling
+      instead of zooming; pinch and Ctrl + wheel still zoom, and Shift scrolls
+      sideways (default: false)
+    * `:pan_on_scroll_mode` - Directions `pan_on_scroll` moves in: `:free`,
+      `:horizontal` or `:vertical` (default: :free)
+    * `:pan_inertia` - Keep panning with momentum after a fast drag is released
+      (default: false)
+    * `:smooth_zoom` - Ease wheel zooming towards its target instead of jumping
+      on every wheel step (default: false)
+    * `:auto_pan` - Scroll the canvas while a node, connection or selection box is
+      dragged near its edge (default: true)
+    * `:translate_extent` - Keep the visible area inside this part of the flow
+      when panning and zooming: a `%{min: %{x: x1, y: y1}, max: %{x: x2, y: y2}}`
+      rectangle, `:content` for the nodes' bounding box, or `{:content, padding}`
+      for that box grown by `padding` flow pixels. When zoomed out further than
+      the extent, it's centred (default: nil, unbounded)
     * `:min_zoom` - Minimum zoom level (default: 0.1)
     * `:max_zoom` - Maximum zoom level (default: 4.0)
     * `:snap_to_grid` - Snap node positions to grid (default: false)
     * `:snap_grid` - Grid size {x, y} (default: {15, 15})
     * `:fit_view_on_init` - Fit view to content on mount (default: false)
     * `:background` - Background pattern (:dots, :lines, :cross, nil)
-    * `:minimap` - Show minimap (default: false)
-    * `:controls` - Show zoom controls (default: false)
+    * `:minimap` - Show minimap (default: false). Click or drag it to pan, scroll
+      over it to zoom
+    * `:minimap_node_colors` - Minimap colours by node type, e.g.
+      `%{"input" => "#22c55e"}`; other nodes use `--lf-minimap-node-bg` (default: %{})
+    * `:controls` - Show zoom controls (default: false). Zoom and fit run in the
+      browser and sync the viewport afterwards
+    * `:controls_lock` - Add a lock button to the controls that makes the graph
+      read-only for this client: no dragging, connecting, resizing or waypoint
+      editing (default: false)
+    * `:controls_layout` - Add an auto-layout button, which sends `lf:request_layout`
+      like `JS.dispatch("lf:auto-layout")` (default: false)
+    * `:controls_export` - Add a button that downloads the flow as SVG (default: false)
     * `:theme` - LiveFlow theme name (default: nil, uses default theme or inherits from app)
     * `:cursors` - Enable built-in remote cursor rendering for collaboration (default: false)
     * `:helper_lines` - Show alignment guide lines when dragging nodes (default: false)
+    * `:connection_line_type` - Path type of the connection preview line
+      (`:bezier`, `:straight`, `:step`, `:smoothstep`; default: `:bezier`)
+    * `:edges_reconnectable` - Show endpoint handles on selected edges that can be
+      dragged to another handle, sending `lf:edge_reconnect` (default: true)
+    * `:delete_edge_on_drop` - Delete an edge when one of its endpoints is dragged
+      and dropped on empty canvas (default: false)
+    * `:allow_self_loops` - Allow dragging a connection from a node back to one of
+      its own handles (default: false). Also pass `allow_self_loops: true` to
+      `LiveFlow.Validation.Connection.validate_and_create/3`
+    * `:connection_radius` - Distance in screen pixels within which a dragged
+      connection snaps to the nearest valid handle; `0` disables snapping (default: 20).
+      Dropping on a node's body always connects to its closest valid handle
+    * `:connect_to_pane` - Send `lf:connect_to_pane` when a connection is dropped on
+      empty canvas, so the app can create a connected node there (default: false)
+    * `:connect_to_pane_types` - Node types to pick from in a popover before
+      `lf:connect_to_pane` is sent, as `"type"` or `{"type", "Label"}` (default: [])
+    * `:connection_validators` - `LiveFlow.Validation` spec checked in the browser
+      while a connection is dragged, e.g. `[:no_duplicate_edges, :no_cycles]`, so
+      invalid handles turn red with the reason in a tooltip (default: []). Use the
+      same spec on the server with `LiveFlow.Validation.from_spec/1`
+    * `:connect_on_click` - Also connect by clicking (or tapping) a handle, then the
+      handle to connect it to; Escape cancels. Handles become focusable, so Enter
+      and Space work too (default: false)
+    * `:proximity_connect` - While a node is dragged, preview an edge between its
+      handle and the closest compatible handle of another node, and connect them
+      with `lf:connect_end` when it's dropped there (default: false)
+    * `:proximity_connect_distance` - How close (in flow pixels) two handles must be
+      for `proximity_connect` (default: 100)
+    * `:splice_edges` - Send `lf:splice_into_edge` when a single node with source
+      and target handles is dropped onto an edge, so the app can insert it there
+      with `LiveFlow.State.splice_edge/4` (default: false)
+    * `:parallel_edge_spacing` - Distance between edges connecting the same two
+      nodes, and between nested self-loops; `0` draws them on top of each other
+      (default: 24)
   """
 
   use Phoenix.LiveComponent
@@ -53,6 +114,12 @@ defmodule LiveFlow.Components.Flow do
   @default_opts %{
     pan_on_drag: true,
     zoom_on_scroll: true,
+    pan_on_scroll: false,
+    pan_on_scroll_mode: :free,
+    pan_inertia: false,
+    smooth_zoom: false,
+    auto_pan: true,
+    translate_extent: nil,
     min_zoom: 0.1,
     max_zoom: 4.0,
     snap_to_grid: false,
@@ -61,6 +128,9 @@ defmodule LiveFlow.Components.Flow do
     background: nil,
     minimap: false,
     controls: false,
+    controls_lock: false,
+    controls_layout: false,
+    controls_export: false,
     connection_mode: :loose,
     nodes_draggable: true,
     nodes_connectable: true,
@@ -68,7 +138,21 @@ defmodule LiveFlow.Components.Flow do
     delete_key_code: "Backspace",
     theme: nil,
     cursors: false,
-    helper_lines: false
+    helper_lines: false,
+    connection_line_type: :bezier,
+    edges_reconnectable: true,
+    delete_edge_on_drop: false,
+    allow_self_loops: false,
+    parallel_edge_spacing: 24,
+    connect_to_pane: false,
+    connect_to_pane_types: [],
+    connection_radius: 20,
+    connect_on_click: false,
+    connection_validators: [],
+    proximity_connect: false,
+    proximity_connect_distance: 100,
+    splice_edges: false,
+    minimap_node_colors: %{}
   }
 
   @impl true
@@ -126,11 +210,23 @@ defmodule LiveFlow.Components.Flow do
     # Collect unique marker definitions from all edges
     markers = Marker.collect_markers(Map.values(flow.edges))
 
+    # Keep edges between the same nodes apart
+    parallel_offsets =
+      if opts.parallel_edge_spacing > 0 do
+        flow.edges
+        |> Map.values()
+        |> Enum.reject(& &1.hidden)
+        |> LiveFlow.Edge.parallel_offsets(opts.parallel_edge_spacing)
+      else
+        %{}
+      end
+
     assigns =
       assigns
       |> assign(:sorted_nodes, sorted_nodes)
       |> assign(:sorted_edges, sorted_edges)
       |> assign(:markers, markers)
+      |> assign(:parallel_offsets, parallel_offsets)
       |> assign(:viewport_style, Viewport.transform_style(flow.viewport))
       |> assign(:snap_grid_x, elem(opts.snap_grid, 0))
       |> assign(:snap_grid_y, elem(opts.snap_grid, 1))
@@ -147,6 +243,12 @@ defmodule LiveFlow.Components.Flow do
       data-max-zoom={@opts.max_zoom}
       data-pan-on-drag={@opts.pan_on_drag}
       data-zoom-on-scroll={@opts.zoom_on_scroll}
+      data-pan-on-scroll={@opts.pan_on_scroll}
+      data-pan-on-scroll-mode={@opts.pan_on_scroll_mode}
+      data-pan-inertia={@opts.pan_inertia}
+      data-smooth-zoom={@opts.smooth_zoom}
+      data-auto-pan={@opts.auto_pan}
+      data-translate-extent={translate_extent_json(@opts.translate_extent)}
       data-snap-to-grid={@opts.snap_to_grid}
       data-snap-grid-x={@snap_grid_x}
       data-snap-grid-y={@snap_grid_y}
@@ -155,6 +257,18 @@ defmodule LiveFlow.Components.Flow do
       data-elements-selectable={@opts.elements_selectable}
       data-fit-view-on-init={@opts.fit_view_on_init}
       data-helper-lines={@opts.helper_lines}
+      data-connection-line-type={@opts.connection_line_type}
+      data-delete-edge-on-drop={@opts.delete_edge_on_drop}
+      data-allow-self-loops={@opts.allow_self_loops}
+      data-connection-radius={@opts.connection_radius}
+      data-connect-to-pane={@opts.connect_to_pane}
+      data-connect-to-pane-types={node_types_json(@opts.connect_to_pane_types)}
+      data-connect-on-click={@opts.connect_on_click}
+      data-connection-validators={validators_json(@opts.connection_validators)}
+      data-proximity-connect={@opts.proximity_connect}
+      data-proximity-connect-distance={@opts.proximity_connect_distance}
+      data-splice-edges={@opts.splice_edges}
+      data-minimap-node-colors={@opts.minimap && node_colors_json(@opts.minimap_node_colors)}
     >
       <%!-- Helper lines overlay (phx-update=ignore so LV won't remove dynamic SVG) --%>
       <div
@@ -182,6 +296,8 @@ defmodule LiveFlow.Components.Flow do
             edge={edge}
             source_node={@flow.nodes[edge.source]}
             target_node={@flow.nodes[edge.target]}
+            reconnectable={@opts.edges_reconnectable}
+            parallel_offset={Map.get(@parallel_offsets, edge.id, 0)}
           />
 
           <%!-- Connection in progress --%>
@@ -192,6 +308,7 @@ defmodule LiveFlow.Components.Flow do
             to_x={@connecting.to_x}
             to_y={@connecting.to_y}
             from_position={@connecting.from_position}
+            type={@opts.connection_line_type}
           />
         </svg>
 
@@ -213,10 +330,15 @@ defmodule LiveFlow.Components.Flow do
       <.selection_box :if={@selection_box} box={@selection_box} />
 
       <%!-- Controls panel --%>
-      <.controls :if={@opts.controls} target={@myself} />
+      <.controls
+        :if={@opts.controls}
+        lock={@opts.controls_lock}
+        layout={@opts.controls_layout}
+        export={@opts.controls_export}
+      />
 
       <%!-- Minimap --%>
-      <.minimap :if={@opts.minimap} flow={@flow} />
+      <.minimap :if={@opts.minimap} id={"#{@id}-minimap"} />
 
       <%!-- Remote cursor overlay (collaboration) --%>
       <div :if={@opts[:cursors]} id={"#{@id}-cursors"} class="lf-cursor-overlay" phx-update="ignore"></div>
@@ -318,13 +440,16 @@ defmodule LiveFlow.Components.Flow do
   @impl true
   def handle_event("lf:selection_box_move", params, socket) do
     if socket.assigns.selection_box do
+      # The start moves when the canvas auto-pans during the selection
       box = socket.assigns.selection_box
-      x = min(box.start_x, params["x"])
-      y = min(box.start_y, params["y"])
-      width = abs(params["x"] - box.start_x)
-      height = abs(params["y"] - box.start_y)
+      start_x = params["start_x"] || box.start_x
+      start_y = params["start_y"] || box.start_y
+      x = min(start_x, params["x"])
+      y = min(start_y, params["y"])
+      width = abs(params["x"] - start_x)
+      height = abs(params["y"] - start_y)
 
-      box = %{box | x: x, y: y, width: width, height: height}
+      box = %{box | start_x: start_x, start_y: start_y, x: x, y: y, width: width, height: height}
 
       {:noreply, assign(socket, selection_box: box)}
     else
@@ -401,12 +526,16 @@ defmodule LiveFlow.Components.Flow do
     """
   end
 
-  attr :target, :any, required: true
+  attr :lock, :boolean, default: true
+  attr :layout, :boolean, default: false
+  attr :export, :boolean, default: false
 
+  # Clicks are handled by the hook (ControlsManager), which also disables the
+  # zoom buttons at the zoom limits and tracks the lock state.
   defp controls(assigns) do
     ~H"""
     <div class="lf-controls">
-      <button class="lf-controls-button" phx-click="lf:zoom_in" phx-target={@target} title="Zoom In">
+      <button type="button" class="lf-controls-button" data-lf-control="zoom_in" title="Zoom In">
         <svg
           xmlns="http://www.w3.org/2000/svg"
           width="16"
@@ -424,7 +553,7 @@ defmodule LiveFlow.Components.Flow do
           /><line x1="8" y1="11" x2="14" y2="11" />
         </svg>
       </button>
-      <button class="lf-controls-button" phx-click="lf:zoom_out" phx-target={@target} title="Zoom Out">
+      <button type="button" class="lf-controls-button" data-lf-control="zoom_out" title="Zoom Out">
         <svg
           xmlns="http://www.w3.org/2000/svg"
           width="16"
@@ -442,7 +571,7 @@ defmodule LiveFlow.Components.Flow do
           />
         </svg>
       </button>
-      <button class="lf-controls-button" phx-click="lf:fit_view" phx-target={@target} title="Fit View">
+      <button type="button" class="lf-controls-button" data-lf-control="fit_view" title="Fit View">
         <svg
           xmlns="http://www.w3.org/2000/svg"
           width="16"
@@ -455,77 +584,147 @@ defmodule LiveFlow.Components.Flow do
           <path d="M15 3h6v6M9 21H3v-6M21 3l-7 7M3 21l7-7" />
         </svg>
       </button>
+      <button
+        :if={@lock}
+        type="button"
+        class="lf-controls-button"
+        data-lf-control="lock"
+        aria-pressed="false"
+        title="Lock"
+      >
+        <svg
+          class="lf-controls-icon-unlocked"
+          xmlns="http://www.w3.org/2000/svg"
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          stroke-width="2"
+        >
+          <rect x="5" y="11" width="14" height="10" rx="2" /><path d="M8 11V7a4 4 0 0 1 7.9-1" />
+        </svg>
+        <svg
+          class="lf-controls-icon-locked"
+          xmlns="http://www.w3.org/2000/svg"
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          stroke-width="2"
+        >
+          <rect x="5" y="11" width="14" height="10" rx="2" /><path d="M8 11V7a4 4 0 0 1 8 0v4" />
+        </svg>
+      </button>
+      <button
+        :if={@layout}
+        type="button"
+        class="lf-controls-button"
+        data-lf-control="layout"
+        title="Auto Layout"
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          stroke-width="2"
+        >
+          <rect x="9" y="2" width="6" height="5" rx="1" /><rect
+            x="2"
+            y="17"
+            width="6"
+            height="5"
+            rx="1"
+          /><rect x="16" y="17" width="6" height="5" rx="1" /><path d="M12 7v5M5 17v-5h14v5" />
+        </svg>
+      </button>
+      <button
+        :if={@export}
+        type="button"
+        class="lf-controls-button"
+        data-lf-control="export"
+        title="Export SVG"
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          stroke-width="2"
+        >
+          <path d="M12 3v12M7 10l5 5 5-5M4 21h16" />
+        </svg>
+      </button>
     </div>
     """
   end
 
-  attr :flow, State, required: true
+  attr :id, :string, required: true
 
+  # Drawn and kept in sync by the hook (MinimapManager), so it follows
+  # client-side pans and drags; the server only provides the container.
   defp minimap(assigns) do
-    # Calculate minimap scale
-    bounds = State.bounds(assigns.flow)
-
-    {scale, nodes_style} =
-      if bounds do
-        scale = min(180 / max(bounds.width, 1), 130 / max(bounds.height, 1))
-        offset_x = -bounds.x * scale + 10
-        offset_y = -bounds.y * scale + 10
-        {scale, "transform: translate(#{offset_x}px, #{offset_y}px) scale(#{scale})"}
-      else
-        {1, ""}
-      end
-
-    vp = assigns.flow.viewport
-
-    viewport_style =
-      if bounds do
-        # Viewport rectangle in minimap coordinates
-        vp_x = -vp.x / vp.zoom * scale + 10 - bounds.x * scale
-        vp_y = -vp.y / vp.zoom * scale + 10 - bounds.y * scale
-        # Assuming 800px container
-        vp_w = 800 / vp.zoom * scale
-        # Assuming 600px container
-        vp_h = 600 / vp.zoom * scale
-        "left: #{vp_x}px; top: #{vp_y}px; width: #{vp_w}px; height: #{vp_h}px"
-      else
-        ""
-      end
-
-    assigns =
-      assigns
-      |> assign(:nodes_style, nodes_style)
-      |> assign(:viewport_style, viewport_style)
-      |> assign(:scale, scale)
-
     ~H"""
-    <div class="lf-minimap">
-      <div class="lf-minimap-nodes" style={@nodes_style}>
-        <div
-          :for={{_id, node} <- @flow.nodes}
-          class="lf-minimap-node"
-          data-selected={node.selected}
-          style={"left: #{node.position.x}px; top: #{node.position.y}px; width: #{node.width || 100}px; height: #{node.height || 40}px"}
-        >
-        </div>
-      </div>
-      <div class="lf-minimap-viewport" style={@viewport_style}></div>
-    </div>
+    <div id={@id} class="lf-minimap" phx-update="ignore"></div>
     """
   end
 
   # Private helpers
 
+  # Selected and dragged nodes render on top, and children always render
+  # after (above) their parent groups. A node shares its ancestors' boost,
+  # so lifting a group lifts its children with it.
   defp sort_nodes(nodes, selected_nodes) do
+    ranks = node_ranks(nodes, selected_nodes)
+
     nodes
     |> Map.values()
     |> Enum.sort_by(fn node ->
-      base = node.z_index
-      selected = if MapSet.member?(selected_nodes, node.id), do: 1000, else: 0
-      dragging = if node.dragging, do: 2000, else: 0
-      base + selected + dragging
+      {boost, depth} = Map.fetch!(ranks, node.id)
+      {boost, depth, node.z_index}
+    end)
+  end
+
+  # %{id => {boost, depth}}, each parent chain walked once
+  defp node_ranks(nodes, selected_nodes) do
+    Enum.reduce(Map.keys(nodes), %{}, fn id, ranks ->
+      nodes |> rank_node(selected_nodes, id, ranks, []) |> elem(1)
     end)
   end
 
+  defp rank_node(nodes, selected_nodes, id, ranks, path) do
+    case ranks do
+      %{^id => rank} ->
+        {rank, ranks}
+
+      _ ->
+        node = Map.fetch!(nodes, id)
+        selected = if MapSet.member?(selected_nodes, id), do: 1000, else: 0
+        dragging = if node.dragging, do: 2000, else: 0
+        own = selected + dragging
+        parent_id = node.parent_id
+
+        # Guard against cycles in hand-built state, like State.ancestor_ids/2
+        {rank, ranks} =
+          if Map.has_key?(nodes, parent_id) and parent_id not in path do
+            {{boost, depth}, ranks} =
+              rank_node(nodes, selected_nodes, parent_id, ranks, [id | path])
+
+            {{max(boost, own), depth + 1}, ranks}
+          else
+            {{own, 0}, ranks}
+          end
+
+        {rank, Map.put(ranks, id, rank)}
+    end
+  end
+
   defp sort_edges(edges, selected_edges) do
     edges
     |> Map.values()
@@ -536,6 +735,41 @@ defmodule LiveFlow.Components.Flow do
     end)
   end
 
+  defp node_types_json([]), do: nil
+
+  defp node_types_json(types) do
+    types
+    |> Enum.map(fn
+      {type, label} -> %{type: to_string(type), label: label}
+      type -> %{type: to_string(type), label: to_string(type)}
+    end)
+    |> Jason.encode!()
+  end
+
+  defp node_colors_json(colors) when map_size(colors) == 0, do: nil
+
+  defp node_colors_json(colors) do
+    colors
+    |> Map.new(fn {type, color} -> {to_string(type), color} end)
+    |> Jason.encode!()
+  end
+
+  defp translate_extent_json(nil), do: nil
+  defp translate_extent_json(:content), do: Jason.encode!(%{content: 0})
+  defp translate_extent_json({:content, padding}), do: Jason.encode!(%{content: padding})
+  defp translate_extent_json(%{min: _, max: _} = bounds), do: Jason.encode!(bounds)
+
+  defp validators_json([]), do: nil
+
+  defp validators_json(spec) do
+    spec
+    |> Enum.map(fn
+      {name, opts} -> opts |> Map.new() |> Map.put(:name, name)
+      name -> %{name: name}
+    end)
+    |> Jason.encode!()
+  end
+
   defp notify_callback(nil, _data), do: :ok
   defp notify_callback(callback, data) when is_function(callback, 1), do: callback.(data)
   defp notify_callback(_callback, _data), do: :ok
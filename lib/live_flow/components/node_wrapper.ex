@@ -17,6 +17,8 @@ defmodule LiveFlow.Components.NodeWrapper do
   alias LiveFlow.Node
   alias LiveFlow.Components.Handle, as: HandleComponent
 
+  @resize_directions ~w(top-left top top-right right bottom-right bottom bottom-left left)
+
   @impl true
   def mount(socket) do
     {:ok, socket}
@@ -53,6 +55,7 @@ defmodule LiveFlow.Components.NodeWrapper do
       |> assign(:type_renderer, type_renderer)
       |> assign(:fallback_renderer, fallback_renderer)
       |> assign(:style, node_style(node))
+      |> assign(:resize_directions, @resize_directions)
 
     ~H"""
     <div
@@ -69,6 +72,15 @@ defmodule LiveFlow.Components.NodeWrapper do
       data-connectable={@node.connectable}
       data-selectable={@node.selectable}
       data-dragging={@node.dragging}
+      data-parent-id={@node.parent_id}
+      data-extent={extent_attr(@node.extent)}
+      data-resizable={@node.resizable && "true"}
+      data-resizing={@node.resizing && "true"}
+      data-min-width={@node.resize_options[:min_width]}
+      data-min-height={@node.resize_options[:min_height]}
+      data-max-width={@node.resize_options[:max_width]}
+      data-max-height={@node.resize_options[:max_height]}
+      data-keep-aspect-ratio={@node.resize_options[:keep_aspect_ratio] && "true"}
       style={@style}
       phx-click="lf:node_click"
       phx-value-node-id={@node.id}
@@ -109,6 +121,16 @@ defmodule LiveFlow.Components.NodeWrapper do
         </svg>
       </div>
 
+      <%!-- Resize handles when selected --%>
+      <div
+        :for={direction <- @resize_directions}
+        :if={@node.selected and @node.resizable}
+        class="lf-resize-handle"
+        data-resize-direction={direction}
+        data-node-id={@node.id}
+      >
+      </div>
+
       <%!-- Node content --%>
       <div class="lf-node-content">
         <%= case @renderer_type do %>
@@ -155,7 +177,9 @@ defmodule LiveFlow.Components.NodeWrapper do
     renderer.(%{node: node, __changed__: %{}})
   end
 
-  defp node_style(%Node{position: pos, z_index: z, style: custom_style, dragging: dragging}) do
+  defp node_style(
+         %Node{position: pos, z_index: z, style: custom_style, dragging: dragging} = node
+       ) do
     base_style = [
       "left: #{pos.x}px",
       "top: #{pos.y}px",
@@ -166,7 +190,19 @@ defmodule LiveFlow.Components.NodeWrapper do
       custom_style
       |> Enum.map(fn {k, v} -> "#{k}: #{v}" end)
 
-    (base_style ++ custom)
+    (base_style ++ size_style(node) ++ custom)
     |> Enum.join("; ")
   end
+
+  # Resizable and group nodes render their stored size explicitly; all
+  # other nodes size to their content and are only measured.
+  defp size_style(%Node{width: w, height: h} = node) when is_number(w) and is_number(h) do
+    if Node.fixed_size?(node), do: ["width: #{w}px", "height: #{h}px"], else: []
+  end
+
+  defp size_style(_node), do: []
+
+  defp extent_attr(nil), do: nil
+  defp extent_attr(:parent), do: "parent"
+  defp extent_attr(%{} = bounds), do: Jason.encode!(bounds)
 end
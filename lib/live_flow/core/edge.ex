@@ -12,11 +12,13 @@ defmodule LiveFlow.Edge do
     * `:target` - Target node ID (required)
     * `:source_handle` - Source handle ID (optional)
     * `:target_handle` - Target handle ID (optional)
-    * `:type` - Edge type: `:bezier`, `:straight`, `:step`, `:smoothstep`
+    * `:type` - Edge type: `:bezier`, `:straight`, `:step`, `:smoothstep`, or
+      `:routed` (orthogonal, drawn around other nodes on the client)
     * `:animated` - Whether to show animation on the edge
     * `:selected` - Whether the edge is currently selected
     * `:selectable` - Whether the edge can be selected
     * `:deletable` - Whether the edge can be deleted
+    * `:reconnectable` - Whether the edge's endpoints can be dragged to other handles
     * `:hidden` - Whether the edge is visible
     * `:data` - Custom data map
     * `:label` - Edge label text
@@ -28,7 +30,12 @@ defmodule LiveFlow.Edge do
     * `:class` - Custom CSS classes
     * `:z_index` - Stacking order
     * `:interaction_width` - Clickable width for selection
-    * `:path_options` - Additional options for path calculation
+    * `:path_options` - Additional options for path calculation. `:waypoints`
+      (a list of `%{x: number, y: number}`) routes the edge through those points;
+      `route: true` routes a `:step` or `:smoothstep` edge around other nodes,
+      keeping `:route_margin` (default 10) clear of them; `floating: true`
+      attaches the edge to the node borders facing each other instead of its
+      handles (see `LiveFlow.Paths.Floating`)
 
   ## Examples
 
@@ -50,6 +57,7 @@ defmodule LiveFlow.Edge do
           selected: boolean(),
           selectable: boolean(),
           deletable: boolean(),
+          reconnectable: boolean(),
           hidden: boolean(),
           data: map(),
           label: String.t() | nil,
@@ -78,6 +86,7 @@ defmodule LiveFlow.Edge do
     selected: false,
     selectable: true,
     deletable: true,
+    reconnectable: true,
     hidden: false,
     data: %{},
     label_position: 0.5,
@@ -100,6 +109,7 @@ defmodule LiveFlow.Edge do
     * `:animated` - Whether animated (default: `false`)
     * `:selectable` - Whether selectable (default: `true`)
     * `:deletable` - Whether deletable (default: `true`)
+    * `:reconnectable` - Whether endpoints can be dragged to other handles (default: `true`)
     * `:label` - Edge label text
     * `:marker_end` - End marker config (default: `%{type: :arrow}`)
     * `:marker_start` - Start marker config
@@ -128,6 +138,7 @@ defmodule LiveFlow.Edge do
       animated: Keyword.get(opts, :animated, false),
       selectable: Keyword.get(opts, :selectable, true),
       deletable: Keyword.get(opts, :deletable, true),
+      reconnectable: Keyword.get(opts, :reconnectable, true),
       label: Keyword.get(opts, :label),
       label_position: Keyword.get(opts, :label_position, 0.5),
       label_style: Keyword.get(opts, :label_style, %{}),
@@ -173,6 +184,48 @@ defmodule LiveFlow.Edge do
     %{edge | label: label}
   end
 
+  @doc """
+  Gets the edge's waypoints from `path_options`, normalized to
+  `%{x: float, y: float}` maps. Accepts atom or string keys.
+
+  ## Examples
+
+      iex> edge = LiveFlow.Edge.new("e1", "a", "b", path_options: %{waypoints: [%{x: 10, y: 20}]})
+      iex> LiveFlow.Edge.waypoints(edge)
+      [%{x: 10.0, y: 20.0}]
+  """
+  @spec waypoints(t()) :: [%{x: float(), y: float()}]
+  def waypoints(%__MODULE__{path_options: opts}) do
+    (Map.get(opts, :waypoints) || Map.get(opts, "waypoints") || [])
+    |> Enum.map(&normalize_point/1)
+  end
+
+  @doc """
+  Replaces the edge's waypoints. An empty list removes them.
+  """
+  @spec set_waypoints(t(), [map()]) :: t()
+  def set_waypoints(%__MODULE__{path_options: opts} = edge, waypoints) do
+    opts = Map.delete(opts, "waypoints")
+
+    opts =
+      case Enum.map(waypoints, &normalize_point/1) do
+        [] -> Map.delete(opts, :waypoints)
+        points -> Map.put(opts, :waypoints, points)
+      end
+
+    %{edge | path_options: opts}
+  end
+
+  @doc """
+  Checks if an edge floats: it attaches to the node borders facing each
+  other instead of its handles (`path_options: %{floating: true}`).
+  Self-loops always use their handles.
+  """
+  @spec floating?(t()) :: boolean()
+  def floating?(%__MODULE__{path_options: opts} = edge) do
+    (Map.get(opts, :floating) || Map.get(opts, "floating")) == true and not self_loop?(edge)
+  end
+
   @doc """
   Checks if two edges connect the same nodes (ignoring direction).
   """
@@ -182,6 +235,53 @@ defmodule LiveFlow.Edge do
       (e1.source == e2.target and e1.target == e2.source)
   end
 
+  @doc """
+  Checks if an edge starts and ends on the same node.
+  """
+  @spec self_loop?(t()) :: boolean()
+  def self_loop?(%__MODULE__{source: source, target: target}), do: source == target
+
+  @doc """
+  Calculates sideways offsets that keep parallel edges apart.
+
+  Edges connecting the same pair of nodes (in either direction) are spread
+  `spacing` apart, centred on the straight route; self-loops on the same
+  node are nested `spacing` apart. The sign of an offset is relative to the
+  edge's own direction, so reversed edges don't overlap either. Edges
+  without siblings get no entry.
+
+  ## Examples
+
+      iex> edges = [LiveFlow.Edge.new("e1", "a", "b"), LiveFlow.Edge.new("e2", "b", "a")]
+      iex> LiveFlow.Edge.parallel_offsets(edges, 20)
+      %{"e1" => -10.0, "e2" => -10.0}
+  """
+  @spec parallel_offsets([t()], number()) :: %{String.t() => number()}
+  def parallel_offsets(edges, spacing) do
+    edges
+    |> Enum.group_by(fn e -> Enum.sort([e.source, e.target]) end)
+    |> Enum.flat_map(fn
+      {_pair, [_single]} ->
+        []
+
+      {[a, b], siblings} ->
+        siblings
+        |> Enum.sort_by(& &1.id)
+        |> Enum.with_index()
+        |> Enum.map(fn {edge, index} ->
+          offset =
+            if a == b,
+              do: index * spacing,
+              else: (index - (length(siblings) - 1) / 2) * spacing
+
+          # Offsets are given in the a -> b frame; flip them for b -> a edges
+          {edge.id, if(edge.source == a, do: offset, else: -offset)}
+        end)
+    end)
+    |> Enum.reject(fn {_id, offset} -> offset == 0 end)
+    |> Map.new()
+  end
+
   @doc """
   Checks if an edge connects to a specific node (either as source or target).
   """
@@ -203,4 +303,7 @@ defmodule LiveFlow.Edge do
   @spec effective_target_handle(t()) :: String.t()
   def effective_target_handle(%__MODULE__{target_handle: nil}), do: "target"
   def effective_target_handle(%__MODULE__{target_handle: h}), do: h
+
+  defp normalize_point(%{x: x, y: y}), do: %{x: x / 1, y: y / 1}
+  defp normalize_point(%{"x" => x, "y" => y}), do: %{x: x / 1, y: y / 1}
 end
@@ -21,6 +21,9 @@ defmodule LiveFlow.Node do
     * `:hidden` - Whether the node is visible
     * `:dragging` - Whether the node is currently being dragged
     * `:resizing` - Whether the node is currently being resized
+    * `:resizable` - Whether the node shows resize handles when selected
+    * `:resize_options` - Resize constraints: `:min_width`, `:min_height`,
+      `:max_width`, `:max_height` and `:keep_aspect_ratio`
     * `:parent_id` - ID of parent node for grouping
     * `:extent` - Movement constraint (`:parent` or bounds map)
     * `:style` - Custom inline styles map
@@ -29,6 +32,17 @@ defmodule LiveFlow.Node do
     * `:handles` - List of `LiveFlow.Handle` structs
     * `:measured` - Whether dimensions have been measured
 
+  ## Groups
+
+  Nodes of type `:group` act as containers. A node whose `:parent_id` points
+  at another node moves along when that node is dragged, and a node with
+  `extent: :parent` cannot be dragged outside its parent's bounds. Dropping
+  a node onto a group (or out of one) emits a `reparent` node change.
+  Positions are always absolute flow coordinates, including for children.
+
+  Group nodes (and resizable nodes) render their `:width` and `:height`
+  explicitly instead of sizing to their content.
+
   ## Examples
 
       iex> LiveFlow.Node.new("node-1", %{x: 100, y: 100}, %{label: "Start"})
@@ -36,6 +50,9 @@ defmodule LiveFlow.Node do
 
       iex> LiveFlow.Node.new("node-2", %{x: 200, y: 150}, %{}, type: :input)
       %LiveFlow.Node{id: "node-2", type: :input, position: %{x: 200, y: 150}}
+
+      iex> LiveFlow.Node.new("group-1", %{x: 0, y: 0}, %{label: "Stage"}, type: :group, width: 300, height: 200)
+      %LiveFlow.Node{id: "group-1", type: :group, width: 300, height: 200, ...}
   """
 
   alias LiveFlow.Handle
@@ -55,6 +72,8 @@ defmodule LiveFlow.Node do
           hidden: boolean(),
           dragging: boolean(),
           resizing: boolean(),
+          resizable: boolean(),
+          resize_options: map(),
           parent_id: String.t() | nil,
           extent: :parent | map() | nil,
           style: map(),
@@ -81,6 +100,8 @@ defmodule LiveFlow.Node do
     hidden: false,
     dragging: false,
     resizing: false,
+    resizable: false,
+    resize_options: %{},
     extent: nil,
     style: %{},
     z_index: 0,
@@ -104,6 +125,10 @@ defmodule LiveFlow.Node do
     * `:class` - Custom CSS classes
     * `:z_index` - Stacking order (default: `0`)
     * `:handles` - List of handles (default: `[]`)
+    * `:resizable` - Whether the node can be resized by the user (default: `false`)
+    * `:resize_options` - Resize constraints map (default: `%{}`)
+    * `:width` - Initial width (default: `nil`, measured after render)
+    * `:height` - Initial height (default: `nil`, measured after render)
 
   ## Examples
 
@@ -129,7 +154,11 @@ defmodule LiveFlow.Node do
       style: Keyword.get(opts, :style, %{}),
       class: Keyword.get(opts, :class),
       z_index: Keyword.get(opts, :z_index, 0),
-      handles: Keyword.get(opts, :handles, [])
+      handles: Keyword.get(opts, :handles, []),
+      resizable: Keyword.get(opts, :resizable, false),
+      resize_options: Keyword.get(opts, :resize_options, %{}),
+      width: Keyword.get(opts, :width),
+      height: Keyword.get(opts, :height)
     }
   end
 
@@ -206,6 +235,31 @@ defmodule LiveFlow.Node do
     %{node | dragging: dragging}
   end
 
+  @doc """
+  Sets the node's resizing state.
+  """
+  @spec set_resizing(t(), boolean()) :: t()
+  def set_resizing(%__MODULE__{} = node, resizing) do
+    %{node | resizing: resizing}
+  end
+
+  @doc """
+  Sets (or clears, with `nil`) the node's parent.
+  """
+  @spec set_parent(t(), String.t() | nil) :: t()
+  def set_parent(%__MODULE__{} = node, parent_id) do
+    %{node | parent_id: parent_id}
+  end
+
+  @doc """
+  Returns true if the node renders its stored `:width` and `:height`
+  rather than sizing to its content (resizable and group nodes).
+  """
+  @spec fixed_size?(t()) :: boolean()
+  def fixed_size?(%__MODULE__{resizable: true}), do: true
+  def fixed_size?(%__MODULE__{type: :group}), do: true
+  def fixed_size?(%__MODULE__{}), do: false
+
   @doc """
   Adds a handle to the node.
   """
@@ -25,6 +25,18 @@ defmodule LiveFlow.Paths.Bezier do
     {c1x, c1y} = control_point(sx, sy, source_pos, curvature, sx, sy, tx, ty)
     {c2x, c2y} = control_point(tx, ty, target_pos, curvature, tx, ty, sx, sy)
 
+    # Bow parallel edges apart; the curve's midpoint moves by 3/4 of the shift
+    {c1x, c1y, c2x, c2y} =
+      case Keyword.get(opts, :parallel_offset, 0) do
+        offset when offset == 0 ->
+          {c1x, c1y, c2x, c2y}
+
+        offset ->
+          {nx, ny} = normal(sx, sy, tx, ty)
+          shift = offset * 4 / 3
+          {c1x + nx * shift, c1y + ny * shift, c2x + nx * shift, c2y + ny * shift}
+      end
+
     # Generate SVG path
     path =
       "M #{format(sx)},#{format(sy)} C #{format(c1x)},#{format(c1y)} #{format(c2x)},#{format(c2y)} #{format(tx)},#{format(ty)}"
@@ -68,6 +80,15 @@ defmodule LiveFlow.Paths.Bezier do
     end
   end
 
+  # Unit normal to the left of the source -> target direction
+  defp normal(sx, sy, tx, ty) do
+    dx = tx - sx
+    dy = ty - sy
+    length = :math.sqrt(dx * dx + dy * dy)
+
+    if length == 0, do: {0, 0}, else: {-dy / length, dx / length}
+  end
+
   # Calculate point on cubic Bezier curve at parameter t
   defp bezier_point(t, x0, y0, x1, y1, x2, y2, x3, y3) do
     mt = 1 - t
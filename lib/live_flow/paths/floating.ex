@@ -0,0 +1,69 @@
+defmodule LiveFlow.Paths.Floating do
+  @moduledoc """
+  Endpoint calculation for floating edges.
+
+  A floating edge (`path_options: %{floating: true}`) ignores its handles
+  and attaches where the line between the two node centres crosses each
+  node's border, so it always takes the short way round. Edges with
+  waypoints aim at their first and last waypoint instead.
+
+  Each endpoint's `:position` is the side of the node it leaves through,
+  which bezier and step paths use to pick their direction.
+
+  The server only knows node boxes. In the browser, nodes that mark an SVG
+  element with `data-lf-outline` (a circle, diamond, hexagon...) get their
+  endpoints moved onto that shape.
+  """
+
+  @type rect :: %{x: number(), y: number(), width: number(), height: number()}
+  @type endpoint :: %{x: number(), y: number(), position: :top | :right | :bottom | :left}
+
+  @doc """
+  Calculates the source and target endpoints of a floating edge between
+  two node boxes.
+
+  ## Examples
+
+      iex> LiveFlow.Paths.Floating.endpoints(
+      ...>   %{x: 0, y: 0, width: 100, height: 40},
+      ...>   %{x: 300, y: 0, width: 100, height: 40}
+      ...> )
+      {%{x: 100.0, y: 20.0, position: :right}, %{x: 300.0, y: 20.0, position: :left}}
+  """
+  @spec endpoints(rect(), rect(), [%{x: number(), y: number()}]) :: {endpoint(), endpoint()}
+  def endpoints(source_rect, target_rect, waypoints \\ []) do
+    toward_target = List.first(waypoints) || center(target_rect)
+    toward_source = List.last(waypoints) || center(source_rect)
+
+    {border_point(source_rect, toward_target), border_point(target_rect, toward_source)}
+  end
+
+  @doc """
+  Finds where the line from the centre of `rect` towards `point` crosses
+  the border of `rect`.
+  """
+  @spec border_point(rect(), %{x: number(), y: number()}) :: endpoint()
+  def border_point(rect, point) do
+    %{x: cx, y: cy} = center(rect)
+    dx = point.x - cx
+    dy = point.y - cy
+    half_w = rect.width / 2
+    half_h = rect.height / 2
+
+    cond do
+      dx == 0 and dy == 0 ->
+        %{x: cx + half_w, y: cy, position: :right}
+
+      # Steeper than the box's diagonal: leaves through the top or bottom
+      abs(dy) * half_w > abs(dx) * half_h ->
+        scale = half_h / abs(dy)
+        %{x: cx + dx * scale, y: cy + dy * scale, position: if(dy > 0, do: :bottom, else: :top)}
+
+      true ->
+        scale = half_w / abs(dx)
+        %{x: cx + dx * scale, y: cy + dy * scale, position: if(dx > 0, do: :right, else: :left)}
+    end
+  end
+
+  defp center(rect), do: %{x: rect.x + rect.width / 2, y: rect.y + rect.height / 2}
+end
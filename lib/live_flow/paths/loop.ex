@@ -0,0 +1,104 @@
+defmodule LiveFlow.Paths.Loop do
+  @moduledoc """
+  Path calculation for self-loop edges, whose source and target are handles
+  on the same node.
+
+  The loop leaves the source handle, runs around the outside of the node and
+  comes back into the target handle. Handles on opposite sides loop over the
+  top (left/right handles) or around the right (top/bottom handles).
+
+  ## Options
+
+    * `:node` - Bounds of the node, `%{x, y, width, height}` (required)
+    * `:style` - `:step` draws sharp corners, anything else rounded ones
+    * `:size` - Distance the loop keeps from the node (default: 30)
+    * `:parallel_offset` - Extra distance, so several loops on one node nest
+    * `:border_radius` - Corner radius (default: 10)
+  """
+
+  @behaviour LiveFlow.Paths.Path
+
+  alias LiveFlow.Paths.Smoothstep
+
+  @default_size 30
+  @default_border_radius 10
+
+  @impl true
+  def calculate(source, target, opts \\ []) do
+    node = Keyword.fetch!(opts, :node)
+    size = Keyword.get(opts, :size, @default_size) + abs(Keyword.get(opts, :parallel_offset, 0))
+
+    points = loop_points(source, target, node, size)
+
+    radius = Keyword.get(opts, :border_radius, @default_border_radius)
+
+    path =
+      case Keyword.get(opts, :style) do
+        :step -> polyline(points)
+        _ -> Smoothstep.smooth_path(points, radius)
+      end
+
+    {label_x, label_y} = label_point(points)
+
+    %{
+      path: path,
+      label_x: label_x,
+      label_y: label_y
+    }
+  end
+
+  defp loop_points(source, target, node, size) do
+    {sdx, sdy} = direction(source.position)
+    {tdx, tdy} = direction(target.position)
+    s = {source.x, source.y}
+    t = {target.x, target.y}
+    {ssx, ssy} = s_stub = {source.x + sdx * size, source.y + sdy * size}
+    {tsx, tsy} = t_stub = {target.x + tdx * size, target.y + tdy * size}
+
+    cond do
+      # Same side: out, across, back in
+      source.position == target.position ->
+        [s, s_stub, t_stub, t]
+
+      # Opposite sides: around the top or the right of the node
+      horizontal?(source.position) == horizontal?(target.position) ->
+        if horizontal?(source.position) do
+          top = node.y - size
+          [s, s_stub, {ssx, top}, {tsx, top}, t_stub, t]
+        else
+          right = node.x + node.width + size
+          [s, s_stub, {right, ssy}, {right, tsy}, t_stub, t]
+        end
+
+      # Adjacent sides: around the shared corner
+      horizontal?(source.position) ->
+        [s, s_stub, {ssx, tsy}, t_stub, t]
+
+      true ->
+        [s, s_stub, {tsx, ssy}, t_stub, t]
+    end
+  end
+
+  defp direction(:left), do: {-1, 0}
+  defp direction(:top), do: {0, -1}
+  defp direction(:bottom), do: {0, 1}
+  defp direction(_right), do: {1, 0}
+
+  defp horizontal?(position), do: position in [:left, :right]
+
+  # Middle of the loop: the centre point, or the centre of the middle segment
+  defp label_point(points) do
+    count = length(points)
+    {x1, y1} = Enum.at(points, div(count - 1, 2))
+    {x2, y2} = Enum.at(points, div(count, 2))
+    {(x1 + x2) / 2, (y1 + y2) / 2}
+  end
+
+  defp polyline([{x0, y0} | rest]) do
+    lines = Enum.map_join(rest, " ", fn {x, y} -> "L #{format(x)},#{format(y)}" end)
+    "M #{format(x0)},#{format(y0)} #{lines}"
+  end
+
+  defp format(num) when is_float(num), do: :erlang.float_to_binary(num, decimals: 2)
+  defp format(num), do: to_string(num)
+end
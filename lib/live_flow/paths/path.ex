@@ -60,17 +60,34 @@ defmodule LiveFlow.Paths.Path do
     * `:curvature` - Curve intensity (0.0 to 1.0)
     * `:offset` - Distance from node before turning
     * `:border_radius` - Corner rounding for step paths
+    * `:waypoints` - Points the path must pass through, in order
+      (see `LiveFlow.Paths.Waypoints`)
   """
   @callback calculate(source :: point(), target :: point(), opts :: keyword()) :: result()
 
   @doc """
   Calculates a path using the specified path module.
+
+  Built-in path modules are routed through `LiveFlow.Paths.Waypoints`
+  when the `:waypoints` option is a non-empty list.
   """
   @spec calculate(module(), point(), point(), keyword()) :: result()
   def calculate(module, source, target, opts \\ []) do
-    module.calculate(source, target, opts)
+    case {Keyword.get(opts, :waypoints), waypoint_style(module)} do
+      {[_ | _], style} when style != nil ->
+        LiveFlow.Paths.Waypoints.calculate(source, target, Keyword.put(opts, :style, style))
+
+      _ ->
+        module.calculate(source, target, opts)
+    end
   end
 
+  defp waypoint_style(LiveFlow.Paths.Bezier), do: :bezier
+  defp waypoint_style(LiveFlow.Paths.Straight), do: :straight
+  defp waypoint_style(LiveFlow.Paths.Step), do: :step
+  defp waypoint_style(LiveFlow.Paths.Smoothstep), do: :smoothstep
+  defp waypoint_style(_), do: nil
+
   @doc """
   Gets the path module for an edge type.
   """
@@ -79,5 +96,7 @@ defmodule LiveFlow.Paths.Path do
   def module_for_type(:straight), do: LiveFlow.Paths.Straight
   def module_for_type(:step), do: LiveFlow.Paths.Step
   def module_for_type(:smoothstep), do: LiveFlow.Paths.Smoothstep
+  # Routed edges are drawn around nodes client-side; smoothstep until then
+  def module_for_type(:routed), do: LiveFlow.Paths.Smoothstep
   def module_for_type(_), do: LiveFlow.Paths.Bezier
 end
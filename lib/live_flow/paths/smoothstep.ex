@@ -15,6 +15,7 @@ defmodule LiveFlow.Paths.Smoothstep do
   def calculate(source, target, opts \\ []) do
     offset = Keyword.get(opts, :offset, @default_offset)
     border_radius = Keyword.get(opts, :border_radius, @default_border_radius)
+    parallel_offset = Keyword.get(opts, :parallel_offset, 0)
 
     sx = source.x
     sy = source.y
@@ -23,9 +24,11 @@ defmodule LiveFlow.Paths.Smoothstep do
     source_pos = source.position
     target_pos = target.position
 
-    points = calculate_points(sx, sy, tx, ty, source_pos, target_pos, offset)
+    points =
+      calculate_points(sx, sy, tx, ty, source_pos, target_pos, offset)
+      |> LiveFlow.Paths.Step.shift_middle_segment(parallel_offset)
 
-    path = build_smooth_path(points, border_radius)
+    path = smooth_path(points, border_radius)
 
     # Label at middle segment
     mid_idx = div(length(points), 2)
@@ -162,12 +165,17 @@ defmodule LiveFlow.Paths.Smoothstep do
     end
   end
 
-  defp build_smooth_path(points, _radius) when length(points) < 3 do
+  @doc """
+  Builds an SVG path through a list of `{x, y}` points, rounding each
+  corner with the given radius.
+  """
+  @spec smooth_path([{number(), number()}], number()) :: String.t()
+  def smooth_path(points, _radius) when length(points) < 3 do
     [{x1, y1}, {x2, y2}] = points
     "M #{format(x1)},#{format(y1)} L #{format(x2)},#{format(y2)}"
   end
 
-  defp build_smooth_path(points, radius) do
+  def smooth_path(points, radius) do
     [{x0, y0} | rest] = points
 
     initial_path = "M #{format(x0)},#{format(y0)}"
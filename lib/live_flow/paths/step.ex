@@ -13,6 +13,7 @@ defmodule LiveFlow.Paths.Step do
   @impl true
   def calculate(source, target, opts \\ []) do
     offset = Keyword.get(opts, :offset, @default_offset)
+    parallel_offset = Keyword.get(opts, :parallel_offset, 0)
 
     sx = source.x
     sy = source.y
@@ -21,7 +22,9 @@ defmodule LiveFlow.Paths.Step do
     source_pos = source.position
     target_pos = target.position
 
-    points = calculate_points(sx, sy, tx, ty, source_pos, target_pos, offset)
+    points =
+      calculate_points(sx, sy, tx, ty, source_pos, target_pos, offset)
+      |> shift_middle_segment(parallel_offset)
 
     path = build_step_path(points)
 
@@ -48,6 +51,45 @@ defmodule LiveFlow.Paths.Step do
     )
   end
 
+  @doc """
+  Moves the middle segment of an orthogonal route sideways by `amount`
+  (towards the left of the source -> target direction), so parallel edges
+  between the same nodes don't overlap. Routes without a single middle
+  segment (an odd number of points) are returned unchanged.
+  """
+  @spec shift_middle_segment([{number(), number()}], number()) :: [{number(), number()}]
+  def shift_middle_segment(points, amount) when amount == 0, do: points
+
+  def shift_middle_segment(points, amount) do
+    count = length(points)
+
+    if count >= 4 and rem(count, 2) == 0 do
+      first = div(count, 2) - 1
+      {ax, _} = Enum.at(points, first)
+      {bx, _} = Enum.at(points, first + 1)
+      {sx, sy} = hd(points)
+      {tx, ty} = List.last(points)
+
+      # Left normal of source -> target is (sy - ty, tx - sx)
+      shift =
+        if ax == bx,
+          do: fn {x, y} -> {x + amount * side(sy - ty), y} end,
+          else: fn {x, y} -> {x, y + amount * side(tx - sx)} end
+
+      points
+      |> Enum.with_index()
+      |> Enum.map(fn
+        {point, i} when i in [first, first + 1] -> shift.(point)
+        {point, _i} -> point
+      end)
+    else
+      points
+    end
+  end
+
+  defp side(component) when component < 0, do: -1
+  defp side(_component), do: 1
+
   defp calculate_points(sx, sy, tx, ty, source_pos, target_pos, offset) do
     case {source_pos, target_pos} do
       {:right, :left} when tx > sx + offset * 2 ->
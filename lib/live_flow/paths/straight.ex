@@ -2,30 +2,50 @@ defmodule LiveFlow.Paths.Straight do
   @moduledoc """
   Straight line path calculation for edges.
 
-  Creates simple direct lines between source and target points.
+  Creates simple direct lines between source and target points. Parallel
+  edges (a non-zero `:parallel_offset`) are drawn as gentle quadratic curves
+  bowed to one side so they don't overlap.
   """
 
   @behaviour LiveFlow.Paths.Path
 
   @impl true
-  def calculate(source, target, _opts \\ []) do
+  def calculate(source, target, opts \\ []) do
     sx = source.x
     sy = source.y
     tx = target.x
     ty = target.y
-
-    # Simple line path
-    path = "M #{format(sx)},#{format(sy)} L #{format(tx)},#{format(ty)}"
+    dx = tx - sx
+    dy = ty - sy
+    length = :math.sqrt(dx * dx + dy * dy)
 
     # Label at midpoint
     label_x = (sx + tx) / 2
     label_y = (sy + ty) / 2
 
-    %{
-      path: path,
-      label_x: label_x,
-      label_y: label_y
-    }
+    case Keyword.get(opts, :parallel_offset, 0) do
+      offset when offset == 0 or length == 0 ->
+        # Simple line path
+        %{
+          path: "M #{format(sx)},#{format(sy)} L #{format(tx)},#{format(ty)}",
+          label_x: label_x,
+          label_y: label_y
+        }
+
+      offset ->
+        # The quadratic's midpoint sits halfway to its control point
+        {nx, ny} = {-dy / length, dx / length}
+        cx = label_x + nx * offset * 2
+        cy = label_y + ny * offset * 2
+
+        %{
+          path:
+            "M #{format(sx)},#{format(sy)} Q #{format(cx)},#{format(cy)} " <>
+              "#{format(tx)},#{format(ty)}",
+          label_x: label_x + nx * offset,
+          label_y: label_y + ny * offset
+        }
+    end
   end
 
   @doc """
@@ -0,0 +1,130 @@
+defmodule LiveFlow.Paths.Waypoints do
+  @moduledoc """
+  Path calculation for edges routed through user-placed waypoints.
+
+  `LiveFlow.Paths.Path.calculate/4` uses this module for the built-in edge
+  types whenever the `:waypoints` option is a non-empty list. The path
+  passes through every waypoint in order and keeps the character of the
+  edge type, given as the `:style` option:
+
+    * `:straight` - straight segments between points
+    * `:step` - orthogonal elbows between points
+    * `:smoothstep` - orthogonal elbows with rounded corners
+    * `:bezier` - a smooth curve through all points (default)
+  """
+
+  @behaviour LiveFlow.Paths.Path
+
+  alias LiveFlow.Paths.Smoothstep
+
+  @default_border_radius 5
+
+  @impl true
+  def calculate(source, target, opts \\ []) do
+    style = Keyword.get(opts, :style, :bezier)
+    waypoints = Keyword.get(opts, :waypoints, [])
+
+    points =
+      [{source.x, source.y} | Enum.map(waypoints, &{&1.x, &1.y})] ++ [{target.x, target.y}]
+
+    # Elbows start in the direction the source handle faces
+    horizontal_first = source.position in [:left, :right]
+
+    {path, route} =
+      case style do
+        :straight ->
+          {polyline(points), points}
+
+        :step ->
+          route = orthogonal_points(points, horizontal_first)
+          {polyline(route), route}
+
+        :smoothstep ->
+          route = orthogonal_points(points, horizontal_first)
+          radius = Keyword.get(opts, :border_radius, @default_border_radius)
+          {Smoothstep.smooth_path(route, radius), route}
+
+        _ ->
+          {smooth_curve(points), points}
+      end
+
+    {label_x, label_y} = midpoint(route)
+
+    %{
+      path: path,
+      label_x: label_x,
+      label_y: label_y
+    }
+  end
+
+  # Insert an elbow corner between consecutive points. Every segment turns
+  # the same way, so the route alternates horizontal and vertical legs.
+  defp orthogonal_points([first | rest], horizontal_first) do
+    rest
+    |> Enum.reduce([first], fn {x, y} = point, [{px, py} | _] = acc ->
+      corner = if horizontal_first, do: {x, py}, else: {px, y}
+      [point, corner | acc]
+    end)
+    |> Enum.reverse()
+    |> Enum.dedup()
+    |> case do
+      [point] -> [point, point]
+      route -> route
+    end
+  end
+
+  defp polyline([{x0, y0} | rest]) do
+    lines = Enum.map_join(rest, " ", fn {x, y} -> "L #{format(x)},#{format(y)}" end)
+    "M #{format(x0)},#{format(y0)} #{lines}"
+  end
+
+  # Catmull-Rom spline through all points, emitted as cubic bezier segments
+  defp smooth_curve([{x0, y0} | _] = points) do
+    padded = [hd(points)] ++ points ++ [List.last(points)]
+
+    segments =
+      padded
+      |> Enum.chunk_every(4, 1, :discard)
+      |> Enum.map_join(" ", fn [{ax, ay}, {bx, by}, {cx, cy}, {dx, dy}] ->
+        c1x = bx + (cx - ax) / 6
+        c1y = by + (cy - ay) / 6
+        c2x = cx - (dx - bx) / 6
+        c2y = cy - (dy - by) / 6
+
+        "C #{format(c1x)},#{format(c1y)} #{format(c2x)},#{format(c2y)} " <>
+          "#{format(cx)},#{format(cy)}"
+      end)
+
+    "M #{format(x0)},#{format(y0)} #{segments}"
+  end
+
+  # Point halfway along the polyline through the given points
+  defp midpoint([point]), do: point
+
+  defp midpoint(points) do
+    segments =
+      points
+      |> Enum.chunk_every(2, 1, :discard)
+      |> Enum.map(fn [{x1, y1}, {x2, y2}] = seg ->
+        {seg, :math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)}
+      end)
+
+    half = (segments |> Enum.map(&elem(&1, 1)) |> Enum.sum()) / 2
+
+    Enum.reduce_while(segments, half, fn {[{x1, y1}, {x2, y2}], len}, remaining ->
+      if remaining <= len and len > 0 do
+        t = remaining / len
+        {:halt, {x1 + (x2 - x1) * t, y1 + (y2 - y1) * t}}
+      else
+        {:cont, remaining - len}
+      end
+    end)
+    |> case do
+      {_x, _y} = point -> point
+      _ -> List.last(points)
+    end
+  end
+
+  defp format(num) when is_float(num), do: :erlang.float_to_binary(num, decimals: 2)
+  defp format(num), do: to_string(num)
+end
@@ -24,7 +24,8 @@ defmodule LiveFlow.Serializer do
 
   The JSON format uses string keys and string representations of atoms.
   Transient state (selected, dragging, measured, width, height) is excluded
-  from export. On import, these fields get their default values.
+  from export, except that resizable and group nodes keep their width and
+  height. On import, these fields get their default values.
   """
 
   alias LiveFlow.{State, Node, Edge, Handle, Viewport}
@@ -92,6 +93,7 @@ defmodule LiveFlow.Serializer do
       "handles" => Enum.map(node.handles, &serialize_handle/1)
     }
     |> put_if("parent_id", node.parent_id)
+    |> put_if("extent", serialize_extent(node.extent))
     |> put_if("style", node.style, %{})
     |> put_if("class", node.class)
     |> put_unless("draggable", node.draggable, true)
@@ -100,8 +102,26 @@ defmodule LiveFlow.Serializer do
     |> put_unless("deletable", node.deletable, true)
     |> put_unless("hidden", node.hidden, false)
     |> put_unless("z_index", node.z_index, 0)
+    |> put_fixed_size(node)
   end
 
+  # Resizable and group nodes keep their chosen size; measured sizes stay transient
+  defp put_fixed_size(map, %Node{} = node) do
+    if Node.fixed_size?(node) do
+      map
+      |> put_unless("resizable", node.resizable, false)
+      |> put_if("resize_options", serialize_map(node.resize_options), %{})
+      |> put_if("width", node.width)
+      |> put_if("height", node.height)
+    else
+      map
+    end
+  end
+
+  defp serialize_extent(nil), do: nil
+  defp serialize_extent(:parent), do: "parent"
+  defp serialize_extent(bounds) when is_map(bounds), do: serialize_map(bounds)
+
   # === Edge Serialization ===
 
   defp serialize_edge(%Edge{} = edge) do
@@ -122,6 +142,7 @@ defmodule LiveFlow.Serializer do
     |> put_unless("animated", edge.animated, false)
     |> put_unless("selectable", edge.selectable, true)
     |> put_unless("deletable", edge.deletable, true)
+    |> put_unless("reconnectable", edge.reconnectable, true)
     |> put_unless("hidden", edge.hidden, false)
     |> put_unless("z_index", edge.z_index, 0)
     |> put_unless("label_position", edge.label_position, 0.5)
@@ -195,9 +216,14 @@ defmodule LiveFlow.Serializer do
         selectable: Map.get(data, "selectable", true),
         deletable: Map.get(data, "deletable", true),
         parent_id: data["parent_id"],
+        extent: deserialize_extent(data["extent"]),
         style: data["style"] || %{},
         class: data["class"],
-        z_index: Map.get(data, "z_index", 0)
+        z_index: Map.get(data, "z_index", 0),
+        resizable: Map.get(data, "resizable", false),
+        resize_options: deserialize_node_data(data["resize_options"] || %{}),
+        width: data["width"],
+        height: data["height"]
       ]
       |> Enum.reject(fn {_k, v} -> is_nil(v) end)
 
@@ -219,6 +245,7 @@ defmodule LiveFlow.Serializer do
         animated: Map.get(data, "animated", false),
         selectable: Map.get(data, "selectable", true),
         deletable: Map.get(data, "deletable", true),
+        reconnectable: Map.get(data, "reconnectable", true),
         marker_start: deserialize_marker(data["marker_start"]),
         marker_end: deserialize_marker(data["marker_end"]),
         style: data["style"] || %{},
@@ -231,7 +258,8 @@ defmodule LiveFlow.Serializer do
       ]
       |> Enum.reject(fn {_k, v} -> is_nil(v) end)
 
-    Edge.new(data["id"], data["source"], data["target"], opts)
+    edge = Edge.new(data["id"], data["source"], data["target"], opts)
+    Edge.set_waypoints(edge, Edge.waypoints(edge))
   end
 
   defp deserialize_handle(data) do
@@ -261,6 +289,14 @@ defmodule LiveFlow.Serializer do
     )
   end
 
+  defp deserialize_extent("parent"), do: :parent
+
+  defp deserialize_extent(%{"min" => min, "max" => max}) do
+    %{min: %{x: min["x"], y: min["y"]}, max: %{x: max["x"], y: max["y"]}}
+  end
+
+  defp deserialize_extent(_), do: nil
+
   defp deserialize_marker(nil), do: nil
 
   defp deserialize_marker(data) when is_map(data) do
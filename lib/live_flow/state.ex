@@ -119,6 +119,59 @@ defmodule LiveFlow.State do
     end
   end
 
+  @doc """
+  Sets (or clears, with `nil`) the parent group of a node.
+
+  The change is ignored if the parent does not exist or if it would make
+  a node its own ancestor.
+  """
+  @spec set_parent(t(), String.t(), String.t() | nil) :: t()
+  def set_parent(%__MODULE__{} = state, id, nil) do
+    update_node(state, id, &Node.set_parent(&1, nil))
+  end
+
+  def set_parent(%__MODULE__{nodes: nodes} = state, id, parent_id) do
+    cond do
+      not Map.has_key?(nodes, parent_id) -> state
+      id == parent_id or id in ancestor_ids(state, parent_id) -> state
+      true -> update_node(state, id, &Node.set_parent(&1, parent_id))
+    end
+  end
+
+  @doc """
+  Gets the direct children of a node.
+  """
+  @spec children(t(), String.t()) :: [Node.t()]
+  def children(%__MODULE__{nodes: nodes}, id) do
+    nodes
+    |> Map.values()
+    |> Enum.filter(&(&1.parent_id == id))
+  end
+
+  @doc """
+  Gets the IDs of a node's ancestors, nearest first.
+  """
+  @spec ancestor_ids(t(), String.t()) :: [String.t()]
+  def ancestor_ids(%__MODULE__{nodes: nodes}, id) do
+    collect_ancestors(nodes, id, [])
+  end
+
+  defp collect_ancestors(nodes, id, acc) do
+    case Map.get(nodes, id) do
+      %Node{parent_id: nil} ->
+        Enum.reverse(acc)
+
+      %Node{parent_id: parent_id} ->
+        # Guard against cycles in hand-built state
+        if parent_id in acc,
+          do: Enum.reverse(acc),
+          else: collect_ancestors(nodes, parent_id, [parent_id | acc])
+
+      nil ->
+        Enum.reverse(acc)
+    end
+  end
+
   @doc """
   Removes a node by ID. Also removes all edges connected to this node.
   """
@@ -201,6 +254,50 @@ defmodule LiveFlow.State do
     Enum.reduce(ids, state, &remove_edge(&2, &1))
   end
 
+  @doc """
+  Splices a node into an edge, replacing A → B with A → node → B.
+
+  Both new edges copy the old edge's type, markers, style and data; the
+  label stays on the first one and waypoints are dropped. Returns the state
+  unchanged if the edge or the node doesn't exist.
+
+  ## Options
+
+    * `:target_handle` - The node's handle the first edge ends at
+    * `:source_handle` - The node's handle the second edge starts from
+    * `:ids` - `{first_id, second_id}` for the new edges (default: generated)
+  """
+  @spec splice_edge(t(), String.t(), String.t(), keyword()) :: t()
+  def splice_edge(%__MODULE__{} = state, edge_id, node_id, opts \\ []) do
+    with %Edge{} = edge <- get_edge(state, edge_id),
+         %Node{} <- get_node(state, node_id) do
+      {first_id, second_id} =
+        Keyword.get_lazy(opts, :ids, fn ->
+          {"e-#{System.unique_integer([:positive])}", "e-#{System.unique_integer([:positive])}"}
+        end)
+
+      edge = %{Edge.set_waypoints(edge, []) | selected: false}
+
+      state
+      |> remove_edge(edge_id)
+      |> add_edge(%{
+        edge
+        | id: first_id,
+          target: node_id,
+          target_handle: Keyword.get(opts, :target_handle)
+      })
+      |> add_edge(%{
+        edge
+        | id: second_id,
+          source: node_id,
+          source_handle: Keyword.get(opts, :source_handle),
+          label: nil
+      })
+    else
+      nil -> state
+    end
+  end
+
   @doc """
   Gets all edges connected to a node.
   """
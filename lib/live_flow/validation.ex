@@ -29,6 +29,21 @@ defmodule LiveFlow.Validation do
 
     * `:default` — no duplicate edges + nodes exist
     * `:strict` — default + handles valid + connectable check
+
+  ## Validating in the browser
+
+  Validators can also be named in a spec list, which works on both sides:
+  pass it to the flow's `connection_validators` option so handles turn red
+  (with the reason in a tooltip) while a connection is dragged over them,
+  and build the server-side list from the same spec with `from_spec/1`:
+
+      @validators [:no_duplicate_edges, :no_cycles, {:max_connections, max: 1}]
+
+      # opts: %{connection_validators: @validators}
+
+      Connection.validate_and_create(flow, params, validators: Validation.from_spec(@validators))
+
+  The server stays the authority; the browser check only gives early feedback.
   """
 
   alias LiveFlow.{State, Handle}
@@ -42,6 +57,16 @@ defmodule LiveFlow.Validation do
 
   @type validator :: (State.t(), conn_params() -> :ok | {:error, String.t()})
 
+  @type spec :: [atom() | {atom(), keyword()}]
+
+  @spec_validators [
+    :no_duplicate_edges,
+    :nodes_exist,
+    :handles_valid,
+    :types_compatible,
+    :no_cycles
+  ]
+
   @doc """
   Runs a list of validators against the given flow and connection params.
 
@@ -68,6 +93,33 @@ defmodule LiveFlow.Validation do
   def preset(:default), do: [&no_duplicate_edges/2, &nodes_exist/2]
   def preset(:strict), do: preset(:default) ++ [&handles_valid/2]
 
+  @doc """
+  Builds a validator list from a spec of built-in validator names.
+  `max_connections` takes its options as `{:max_connections, max: n}`.
+
+      iex> [validator] = LiveFlow.Validation.from_spec([{:max_connections, max: 1}])
+      iex> is_function(validator, 2)
+      true
+
+  Raises `ArgumentError` for unknown names.
+  """
+  @spec from_spec(spec()) :: [validator()]
+  def from_spec(spec) do
+    Enum.map(spec, fn
+      {:max_connections, opts} ->
+        fn flow, params -> max_connections(flow, params, opts) end
+
+      {name, _opts} when name in @spec_validators ->
+        Function.capture(__MODULE__, name, 2)
+
+      name when name in @spec_validators and name != :max_connections ->
+        Function.capture(__MODULE__, name, 2)
+
+      other ->
+        raise ArgumentError, "unknown connection validator: #{inspect(other)}"
+    end)
+  end
+
   # ===== Built-in Validators =====
 
   @doc """
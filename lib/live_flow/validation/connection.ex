@@ -18,6 +18,59 @@ defmodule LiveFlow.Validation.Connection do
         end
       end
 
+  ## Reconnecting edges
+
+      def handle_event("lf:edge_reconnect", params, socket) do
+        case LiveFlow.Validation.Connection.validate_and_reconnect(socket.assigns.flow, params) do
+          {:ok, edge} ->
+            flow = State.add_edge(socket.assigns.flow, edge)
+            {:noreply, assign(socket, flow: flow)}
+
+          {:error, _reason} ->
+            {:noreply, socket}
+        end
+      end
+
+  ## Splicing a node into an edge
+
+  `lf:splice_into_edge` replaces A → B with A → N → B. Both new edges go
+  through the validators before the flow changes:
+
+      def handle_event("lf:splice_into_edge", params, socket) do
+        case Connection.validate_and_splice(socket.assigns.flow, params) do
+          {:ok, flow} -> {:noreply, assign(socket, flow: flow)}
+          {:error, reason} -> {:noreply, Connection.push_rejection(socket, params, reason)}
+        end
+      end
+
+  ## Connecting to a new node
+
+  With the flow's `connect_to_pane: true` option, dropping a connection on
+  empty canvas sends `lf:connect_to_pane` instead of `lf:connect_cancel`:
+
+      def handle_event("lf:connect_to_pane", params, socket) do
+        %{"x" => x, "y" => y} = params["position"]
+        node = Node.new("n-\#{System.unique_integer([:positive])}", %{x: x, y: y}, %{})
+        flow = State.add_node(socket.assigns.flow, node)
+
+        case Connection.validate_and_create(flow, Connection.pane_params(params, node.id)) do
+          {:ok, edge} -> {:noreply, assign(socket, flow: State.add_edge(flow, edge))}
+          {:error, _reason} -> {:noreply, socket}
+        end
+      end
+
+  ## Telling the user why
+
+  A rejected connection otherwise just doesn't appear. Push the reason back
+  and the flow flashes the attempted handles and shows it where the
+  connection was dropped:
+
+      {:error, reason} ->
+        {:noreply, Connection.push_rejection(socket, params, reason)}
+
+  The flow also dispatches an `lf:connection-rejected` DOM event (with the
+  reason and endpoints in `detail`) for apps that prefer a toast.
+
   ## Custom validators
 
       validate_and_create(flow, params,
@@ -41,6 +94,8 @@ defmodule LiveFlow.Validation.Connection do
 
     * `:validators` — list of validator functions (default: `Validation.preset(:default)`)
     * `:edge_opts` — extra options passed to `Edge.new/4`
+    * `:allow_self_loops` — accept edges from a node to itself (default: `false`).
+      Enable together with the flow's `allow_self_loops` option
   """
   @spec validate_and_create(LiveFlow.State.t(), map(), keyword()) ::
           {:ok, Edge.t()} | {:error, String.t()}
@@ -53,7 +108,7 @@ defmodule LiveFlow.Validation.Connection do
     source = conn_params.source
     target = conn_params.target
 
-    if source && target && source != target do
+    if source && target && endpoints_allowed?(conn_params, opts) do
       case Validation.validate(flow, conn_params, validators) do
         :ok ->
           edge_id = "e-#{System.unique_integer([:positive])}"
@@ -79,6 +134,209 @@ defmodule LiveFlow.Validation.Connection do
     end
   end
 
+  @doc """
+  Validates `lf:edge_reconnect` params and returns the edge with its new
+  endpoints. The edge keeps its ID and options, so adding it to the flow
+  replaces the old one.
+
+  Validators run against the flow without the edge being reconnected, so it
+  never conflicts with itself.
+
+  Returns `{:ok, edge}` or `{:error, reason}`. Accepts the same `:validators`
+  and `:allow_self_loops` options as `validate_and_create/3`.
+  """
+  @spec validate_and_reconnect(LiveFlow.State.t(), map(), keyword()) ::
+          {:ok, Edge.t()} | {:error, String.t()}
+  def validate_and_reconnect(flow, params, opts \\ []) do
+    validators = Keyword.get(opts, :validators, Validation.preset(:default))
+    edge_id = params["edge_id"] || params[:edge_id]
+    conn_params = normalize_params(params)
+
+    case LiveFlow.State.get_edge(flow, edge_id) do
+      nil ->
+        {:error, "Edge not found"}
+
+      _edge when is_nil(conn_params.source) or is_nil(conn_params.target) ->
+        {:error, "Invalid source or target"}
+
+      edge ->
+        reconnect(flow, edge, conn_params, validators, opts)
+    end
+  end
+
+  @doc """
+  Validates `lf:splice_into_edge` params and returns the flow with the node
+  spliced into the edge (see `LiveFlow.State.splice_edge/4`).
+
+  Validators run on each new edge against the flow without the edge being
+  split, and the second edge also sees the first, so a splice can't create a
+  duplicate edge or push a handle past `max_connections`.
+
+  Returns `{:ok, flow}` or `{:error, reason}`. Accepts the same `:validators`
+  and `:allow_self_loops` options as `validate_and_create/3`, and `:ids` as
+  in `LiveFlow.State.splice_edge/4`.
+  """
+  @spec validate_and_splice(LiveFlow.State.t(), map(), keyword()) ::
+          {:ok, LiveFlow.State.t()} | {:error, String.t()}
+  def validate_and_splice(flow, params, opts \\ []) do
+    validators = Keyword.get(opts, :validators, Validation.preset(:default))
+    edge_id = params["edge_id"] || params[:edge_id]
+    node_id = params["node_id"] || params[:node_id]
+    source_handle = params["source_handle"] || params[:source_handle]
+    target_handle = params["target_handle"] || params[:target_handle]
+
+    case {LiveFlow.State.get_edge(flow, edge_id), LiveFlow.State.get_node(flow, node_id)} do
+      {nil, _} ->
+        {:error, "Edge not found"}
+
+      {_, nil} ->
+        {:error, "Node not found"}
+
+      {edge, _node} ->
+        first = %{
+          source: edge.source,
+          source_handle: edge.source_handle,
+          target: node_id,
+          target_handle: target_handle
+        }
+
+        second = %{
+          source: node_id,
+          source_handle: source_handle,
+          target: edge.target,
+          target_handle: edge.target_handle
+        }
+
+        others = LiveFlow.State.remove_edge(flow, edge.id)
+        with_first = LiveFlow.State.add_edge(others, pending_edge(first))
+
+        splice_opts =
+          Keyword.merge(Keyword.take(opts, [:ids]),
+            source_handle: source_handle,
+            target_handle: target_handle
+          )
+
+        with :ok <- validate_splice_edge(others, first, validators, opts),
+             :ok <- validate_splice_edge(with_first, second, validators, opts) do
+          {:ok, LiveFlow.State.splice_edge(flow, edge_id, node_id, splice_opts)}
+        end
+    end
+  end
+
+  defp pending_edge(conn_params) do
+    Edge.new("e-#{System.unique_integer([:positive])}", conn_params.source, conn_params.target,
+      source_handle: conn_params.source_handle,
+      target_handle: conn_params.target_handle
+    )
+  end
+
+  defp validate_splice_edge(flow, conn_params, validators, opts) do
+    if endpoints_allowed?(conn_params, opts) do
+      Validation.validate(flow, conn_params, validators)
+    else
+      {:error, "Invalid source or target"}
+    end
+  end
+
+  defp reconnect(flow, edge, conn_params, validators, opts) do
+    if endpoints_allowed?(conn_params, opts) do
+      others = LiveFlow.State.remove_edge(flow, edge.id)
+
+      with :ok <- Validation.validate(others, conn_params, validators) do
+        {:ok, Edge.update(edge, Map.to_list(conn_params))}
+      end
+    else
+      {:error, "Invalid source or target"}
+    end
+  end
+
+  @doc """
+  Builds `lf:connect_end`-style params from `lf:connect_to_pane` params,
+  connecting the dragged handle to the node the app created at the drop
+  position. The new node takes the other end of the connection, through
+  `handle_id` or its first handle of the matching type.
+
+  ## Examples
+
+      iex> LiveFlow.Validation.Connection.pane_params(
+      ...>   %{"node_id" => "a", "handle_id" => "out", "handle_type" => "source"},
+      ...>   "b"
+      ...> )
+      %{"source" => "a", "source_handle" => "out", "target" => "b", "target_handle" => nil}
+  """
+  @spec pane_params(map(), String.t(), String.t() | nil) :: map()
+  def pane_params(params, node_id, handle_id \\ nil) do
+    from = params["node_id"] || params[:node_id]
+    from_handle = params["handle_id"] || params[:handle_id]
+
+    if (params["handle_type"] || params[:handle_type]) in ["target", :target] do
+      %{
+        "source" => node_id,
+        "source_handle" => handle_id,
+        "target" => from,
+        "target_handle" => from_handle
+      }
+    else
+      %{
+        "source" => from,
+        "source_handle" => from_handle,
+        "target" => node_id,
+        "target_handle" => handle_id
+      }
+    end
+  end
+
+  @doc """
+  Builds the `lf:connection_rejected` payload for rejected `lf:connect_end`,
+  `lf:edge_reconnect` or `lf:connect_to_pane` params. Endpoints the params
+  don't name are taken from the last connection the browser sent. For
+  `lf:splice_into_edge` params, both endpoints are the dropped node's handles.
+
+  ## Examples
+
+      iex> LiveFlow.Validation.Connection.rejection(
+      ...>   %{"source" => "a", "source_handle" => "out", "target" => "b"},
+      ...>   "Connection would create a cycle"
+      ...> )
+      %{
+        reason: "Connection would create a cycle",
+        source: "a",
+        source_handle: "out",
+        target: "b",
+        target_handle: nil
+      }
+  """
+  @spec rejection(map(), String.t()) :: map()
+  def rejection(%{"edge_id" => _, "node_id" => node_id} = params, reason) do
+    %{
+      reason: reason,
+      source: node_id,
+      source_handle: params["source_handle"],
+      target: node_id,
+      target_handle: params["target_handle"]
+    }
+  end
+
+  def rejection(params, reason) do
+    params
+    |> normalize_params()
+    |> Map.put(:reason, reason)
+  end
+
+  @doc """
+  Pushes `lf:connection_rejected` so the flow shows `reason` to the user.
+  See `rejection/2`.
+  """
+  @spec push_rejection(Phoenix.LiveView.Socket.t(), map(), String.t()) ::
+          Phoenix.LiveView.Socket.t()
+  def push_rejection(socket, params, reason) do
+    Phoenix.LiveView.push_event(socket, "lf:connection_rejected", rejection(params, reason))
+  end
+
+  defp endpoints_allowed?(%{source: source, target: target}, opts) do
+    source != target or Keyword.get(opts, :allow_self_loops, false)
+  end
+
   defp normalize_params(%{} = params) do
     %{
       source: params["source"] || params[:source],
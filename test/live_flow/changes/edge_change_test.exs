@@ -0,0 +1,44 @@
+defmodule LiveFlow.Changes.EdgeChangeTest do
+  use ExUnit.Case, async: true
+
+  alias LiveFlow.{State, Node, Edge}
+  alias LiveFlow.Changes.EdgeChange
+
+  defp build_state do
+    State.new(
+      nodes: [Node.new("a", %{x: 0, y: 0}, %{}), Node.new("b", %{x: 200, y: 0}, %{})],
+      edges: [Edge.new("e1", "a", "b")]
+    )
+  end
+
+  describe "apply_change/2 with add" do
+    test "parses routed edge types" do
+      state =
+        build_state()
+        |> EdgeChange.apply_change(
+          EdgeChange.add(%{"id" => "e2", "source" => "b", "target" => "a", "type" => "routed"})
+        )
+
+      assert state.edges["e2"].type == :routed
+    end
+  end
+
+  describe "apply_change/2 with waypoints" do
+    test "sets and clears an edge's waypoints" do
+      state =
+        build_state()
+        |> EdgeChange.apply_change(EdgeChange.waypoints("e1", [%{"x" => 100, "y" => 50}]))
+
+      assert Edge.waypoints(state.edges["e1"]) == [%{x: 100.0, y: 50.0}]
+
+      state = EdgeChange.apply_change(state, EdgeChange.waypoints("e1", []))
+      assert state.edges["e1"].path_options == %{}
+    end
+
+    test "ignores unknown edges" do
+      state = build_state()
+
+      assert EdgeChange.apply_change(state, EdgeChange.waypoints("missing", [])) == state
+    end
+  end
+end
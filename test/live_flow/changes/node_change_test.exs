@@ -0,0 +1,52 @@
+defmodule LiveFlow.Changes.NodeChangeTest do
+  use ExUnit.Case, async: true
+
+  alias LiveFlow.{State, Node}
+  alias LiveFlow.Changes.NodeChange
+
+  defp build_state do
+    State.new(nodes: [Node.new("n1", %{x: 0, y: 0}, %{}, resizable: true)])
+  end
+
+  describe "apply_change/2 with dimensions" do
+    test "sets dimensions without touching resizing state" do
+      state =
+        build_state()
+        |> NodeChange.apply_change(NodeChange.dimensions("n1", 150, 50))
+
+      node = state.nodes["n1"]
+      assert node.width == 150
+      assert node.height == 50
+      assert node.measured == true
+      assert node.resizing == false
+    end
+
+    test "tracks resizing state from resize changes" do
+      state =
+        build_state()
+        |> NodeChange.apply_change(NodeChange.resize("n1", 200, 100, true))
+
+      assert state.nodes["n1"].resizing == true
+
+      state = NodeChange.apply_change(state, NodeChange.resize("n1", 240, 120))
+      node = state.nodes["n1"]
+      assert node.resizing == false
+      assert node.width == 240
+      assert node.height == 120
+    end
+  end
+
+  describe "apply_change/2 with reparent" do
+    test "moves a node into and out of a group" do
+      state =
+        build_state()
+        |> State.add_node(Node.new("g1", %{x: 0, y: 0}, %{}, type: :group))
+        |> NodeChange.apply_change(NodeChange.reparent("n1", "g1"))
+
+      assert state.nodes["n1"].parent_id == "g1"
+
+      state = NodeChange.apply_change(state, NodeChange.reparent("n1", nil))
+      assert state.nodes["n1"].parent_id == nil
+    end
+  end
+end
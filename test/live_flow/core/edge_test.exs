@@ -15,6 +15,7 @@ defmodule LiveFlow.EdgeTest do
       assert edge.selected == false
       assert edge.selectable == true
       assert edge.deletable == true
+      assert edge.reconnectable == true
       assert edge.hidden == false
       assert edge.source_handle == nil
       assert edge.target_handle == nil
@@ -126,6 +127,28 @@ defmodule LiveFlow.EdgeTest do
     end
   end
 
+  describe "waypoints/1 and set_waypoints/2" do
+    test "normalizes atom and string keyed points" do
+      edge = Edge.new("e1", "a", "b", path_options: %{"waypoints" => [%{"x" => 10, "y" => 20}]})
+
+      assert Edge.waypoints(edge) == [%{x: 10.0, y: 20.0}]
+      assert Edge.waypoints(Edge.new("e2", "a", "b")) == []
+    end
+
+    test "replaces and removes waypoints" do
+      edge =
+        Edge.new("e1", "a", "b", path_options: %{curvature: 0.5, "waypoints" => []})
+        |> Edge.set_waypoints([%{"x" => 1, "y" => 2}, %{x: 3.5, y: 4}])
+
+      assert edge.path_options == %{
+               curvature: 0.5,
+               waypoints: [%{x: 1.0, y: 2.0}, %{x: 3.5, y: 4.0}]
+             }
+
+      assert Edge.set_waypoints(edge, []).path_options == %{curvature: 0.5}
+    end
+  end
+
   describe "connects_same_nodes?/2" do
     test "returns true for same direction" do
       e1 = Edge.new("e1", "a", "b")
@@ -156,6 +179,51 @@ defmodule LiveFlow.EdgeTest do
     end
   end
 
+  describe "self_loop?/1" do
+    test "detects edges from a node to itself" do
+      assert Edge.self_loop?(Edge.new("e1", "a", "a"))
+      refute Edge.self_loop?(Edge.new("e2", "a", "b"))
+    end
+  end
+
+  describe "floating?/1" do
+    test "reads the floating path option" do
+      assert Edge.floating?(Edge.new("e1", "a", "b", path_options: %{floating: true}))
+      assert Edge.floating?(Edge.new("e2", "a", "b", path_options: %{"floating" => true}))
+      refute Edge.floating?(Edge.new("e3", "a", "b"))
+    end
+
+    test "is false for self-loops" do
+      refute Edge.floating?(Edge.new("e1", "a", "a", path_options: %{floating: true}))
+    end
+  end
+
+  describe "parallel_offsets/2" do
+    test "leaves single edges alone" do
+      edges = [Edge.new("e1", "a", "b"), Edge.new("e2", "b", "c")]
+
+      assert Edge.parallel_offsets(edges, 20) == %{}
+    end
+
+    test "spreads edges between the same nodes around the centre" do
+      edges = [Edge.new("e1", "a", "b"), Edge.new("e2", "a", "b"), Edge.new("e3", "a", "b")]
+
+      assert Edge.parallel_offsets(edges, 20) == %{"e1" => -20.0, "e3" => 20.0}
+    end
+
+    test "flips offsets of reversed edges into their own direction" do
+      edges = [Edge.new("e1", "a", "b"), Edge.new("e2", "b", "a")]
+
+      assert Edge.parallel_offsets(edges, 20) == %{"e1" => -10.0, "e2" => -10.0}
+    end
+
+    test "nests self-loops on the same node" do
+      edges = [Edge.new("e1", "a", "a"), Edge.new("e2", "a", "a"), Edge.new("e3", "b", "b")]
+
+      assert Edge.parallel_offsets(edges, 20) == %{"e2" => 20}
+    end
+  end
+
   describe "connects_to?/2" do
     test "returns true when node is source" do
       edge = Edge.new("e1", "a", "b")
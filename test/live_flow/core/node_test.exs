@@ -18,6 +18,8 @@ defmodule LiveFlow.NodeTest do
       assert node.hidden == false
       assert node.dragging == false
       assert node.resizing == false
+      assert node.resizable == false
+      assert node.resize_options == %{}
       assert node.selected == false
       assert node.measured == false
       assert node.width == nil
@@ -67,6 +69,21 @@ defmodule LiveFlow.NodeTest do
       assert node.handles == [handle]
     end
 
+    test "creates a resizable node with an initial size" do
+      node =
+        Node.new("n1", %{x: 0, y: 0}, %{},
+          resizable: true,
+          resize_options: %{min_width: 50, keep_aspect_ratio: true},
+          width: 200,
+          height: 100
+        )
+
+      assert node.resizable == true
+      assert node.resize_options == %{min_width: 50, keep_aspect_ratio: true}
+      assert node.width == 200
+      assert node.height == 100
+    end
+
     test "normalizes integer position to float" do
       node = Node.new("n1", %{x: 10, y: 20}, %{})
 
@@ -176,6 +193,32 @@ defmodule LiveFlow.NodeTest do
     end
   end
 
+  describe "set_resizing/2" do
+    test "sets resizing state" do
+      node = Node.new("n1", %{x: 0, y: 0}, %{})
+
+      assert Node.set_resizing(node, true).resizing == true
+      assert Node.set_resizing(node, false).resizing == false
+    end
+  end
+
+  describe "set_parent/2" do
+    test "sets and clears the parent" do
+      node = Node.new("n1", %{x: 0, y: 0}, %{}) |> Node.set_parent("g1")
+
+      assert node.parent_id == "g1"
+      assert Node.set_parent(node, nil).parent_id == nil
+    end
+  end
+
+  describe "fixed_size?/1" do
+    test "is true for resizable and group nodes" do
+      assert Node.fixed_size?(Node.new("n1", %{x: 0, y: 0}, %{}, resizable: true))
+      assert Node.fixed_size?(Node.new("g1", %{x: 0, y: 0}, %{}, type: :group))
+      refute Node.fixed_size?(Node.new("n2", %{x: 0, y: 0}, %{}))
+    end
+  end
+
   describe "bounds/1" do
     test "returns nil when not measured" do
       node = Node.new("n1", %{x: 100, y: 200}, %{})
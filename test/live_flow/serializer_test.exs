@@ -292,6 +292,61 @@ defmodule LiveFlow.SerializerTest do
       assert imported.viewport.zoom == flow.viewport.zoom
     end
 
+    test "roundtrip keeps size and options of resizable nodes" do
+      n =
+        make_node("n1", 0, 0,
+          resizable: true,
+          resize_options: %{min_width: 80, keep_aspect_ratio: true}
+        )
+        |> Node.set_dimensions(240, 120)
+
+      exported = Serializer.export(State.new(nodes: [n]))
+      node = hd(exported["nodes"])
+
+      assert node["resizable"] == true
+      assert node["width"] == 240
+      assert node["height"] == 120
+
+      {:ok, imported} = Serializer.import(exported)
+      node = imported.nodes["n1"]
+
+      assert node.resizable == true
+      assert node.resize_options == %{min_width: 80, keep_aspect_ratio: true}
+      assert node.width == 240
+      assert node.height == 120
+    end
+
+    test "roundtrip keeps groups, parents and extents" do
+      group = make_node("g1", 0, 0, type: :group, width: 300, height: 200)
+      child = make_node("n1", 20, 40, parent_id: "g1", extent: :parent)
+
+      bounded =
+        make_node("n2", 0, 0, extent: %{min: %{x: 0, y: 0}, max: %{x: 500, y: 400}})
+
+      exported = Serializer.export(State.new(nodes: [group, child, bounded]))
+      {:ok, imported} = Serializer.import(exported)
+
+      assert imported.nodes["g1"].type == :group
+      assert imported.nodes["g1"].width == 300
+      assert imported.nodes["g1"].height == 200
+      assert imported.nodes["n1"].parent_id == "g1"
+      assert imported.nodes["n1"].extent == :parent
+      assert imported.nodes["n2"].extent == %{min: %{x: 0, y: 0}, max: %{x: 500, y: 400}}
+    end
+
+    test "roundtrip keeps edge waypoints" do
+      edge = Edge.new("e1", "n1", "n2", path_options: %{waypoints: [%{x: 50, y: 80}]})
+      flow = State.new(nodes: [make_node("n1", 0, 0), make_node("n2", 200, 0)], edges: [edge])
+
+      exported = Serializer.export(flow)
+      assert hd(exported["edges"])["path_options"] == %{
+               "waypoints" => [%{"x" => 50, "y" => 80}]
+             }
+
+      {:ok, imported} = Serializer.import(exported)
+      assert imported.edges["e1"].path_options == %{waypoints: [%{x: 50.0, y: 80.0}]}
+    end
+
     test "roundtrip with handle connect_type" do
       h = Handle.new(:source, :bottom, id: "out", connect_type: :data)
       n = Node.new("n1", %{x: 0, y: 0}, %{}, handles: [h])
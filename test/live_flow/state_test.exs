@@ -1,7 +1,8 @@
 defmodule LiveFlow.StateTest do
   use ExUnit.Case, async: true
 
-  alias LiveFlow.{State, Node, Edge, Viewport}
+  alias LiveFlow.{State, Node, Edge, Viewport, Validation}
+  alias LiveFlow.Validation.Connection
 
   defp make_node(id, x \\ 0, y \\ 0, data \\ %{}) do
     Node.new(id, %{x: x, y: y}, data)
@@ -123,6 +124,50 @@ defmodule LiveFlow.StateTest do
     end
   end
 
+  describe "set_parent/3" do
+    setup do
+      group = Node.new("g", %{x: 0, y: 0}, %{}, type: :group)
+      inner = Node.new("inner", %{x: 10, y: 10}, %{}, type: :group, parent_id: "g")
+      state = State.new(nodes: [group, inner, make_node("n1")])
+      %{state: state}
+    end
+
+    test "sets and clears the parent", %{state: state} do
+      state = State.set_parent(state, "n1", "inner")
+      assert state.nodes["n1"].parent_id == "inner"
+
+      state = State.set_parent(state, "n1", nil)
+      assert state.nodes["n1"].parent_id == nil
+    end
+
+    test "ignores unknown parents", %{state: state} do
+      assert State.set_parent(state, "n1", "missing") == state
+    end
+
+    test "ignores changes that would create a cycle", %{state: state} do
+      assert State.set_parent(state, "g", "inner") == state
+      assert State.set_parent(state, "g", "g") == state
+    end
+  end
+
+  describe "children/2 and ancestor_ids/2" do
+    test "walks the group hierarchy" do
+      state =
+        State.new(
+          nodes: [
+            make_node("g"),
+            Node.new("inner", %{x: 0, y: 0}, %{}, parent_id: "g"),
+            Node.new("leaf", %{x: 0, y: 0}, %{}, parent_id: "inner")
+          ]
+        )
+
+      assert Enum.map(State.children(state, "g"), & &1.id) == ["inner"]
+      assert State.children(state, "leaf") == []
+      assert State.ancestor_ids(state, "leaf") == ["inner", "g"]
+      assert State.ancestor_ids(state, "g") == []
+    end
+  end
+
   describe "remove_node/2" do
     test "removes the node" do
       state = State.new() |> State.add_node(make_node("n1"))
@@ -220,6 +265,98 @@ defmodule LiveFlow.StateTest do
     end
   end
 
+  describe "splice_edge/4" do
+    setup do
+      state =
+        State.new(
+          nodes: [make_node("a"), make_node("b"), make_node("n")],
+          edges: [
+            make_edge("e1", "a", "b",
+              label: "next",
+              type: :smoothstep,
+              path_options: %{waypoints: [%{x: 5, y: 5}]}
+            )
+          ]
+        )
+
+      %{state: state}
+    end
+
+    test "replaces A -> B with A -> N -> B", %{state: state} do
+      state =
+        State.splice_edge(state, "e1", "n",
+          target_handle: "in",
+          source_handle: "out",
+          ids: {"e2", "e3"}
+        )
+
+      assert State.get_edge(state, "e1") == nil
+
+      assert %Edge{source: "a", target: "n", target_handle: "in", label: "next"} =
+               State.get_edge(state, "e2")
+
+      assert %Edge{source: "n", source_handle: "out", target: "b", label: nil} =
+               State.get_edge(state, "e3")
+    end
+
+    test "keeps the edge type and drops waypoints", %{state: state} do
+      state = State.splice_edge(state, "e1", "n")
+
+      assert [%Edge{type: :smoothstep} = first, %Edge{type: :smoothstep}] =
+               State.edges_list(state)
+
+      assert Edge.waypoints(first) == []
+    end
+
+    test "ignores unknown edges and nodes", %{state: state} do
+      assert State.splice_edge(state, "missing", "n") == state
+      assert State.splice_edge(state, "e1", "missing") == state
+    end
+  end
+
+  describe "Validation.Connection.validate_and_splice/3" do
+    setup do
+      state =
+        State.new(
+          nodes: [make_node("a"), make_node("b"), make_node("n"), make_node("c")],
+          edges: [make_edge("e1", "a", "b")]
+        )
+
+      %{state: state, params: %{"edge_id" => "e1", "node_id" => "n"}}
+    end
+
+    test "splices the node in when both edges are valid", %{state: state, params: params} do
+      assert {:ok, spliced} = Connection.validate_and_splice(state, params, ids: {"e2", "e3"})
+      assert spliced == State.splice_edge(state, "e1", "n", ids: {"e2", "e3"})
+    end
+
+    test "rejects a splice that would duplicate an edge", %{state: state, params: params} do
+      state = State.add_edge(state, make_edge("e0", "a", "n"))
+
+      assert {:error, "Connection already exists"} =
+               Connection.validate_and_splice(state, params)
+    end
+
+    test "rejects a splice that goes over max_connections", %{state: state, params: params} do
+      state = State.add_edge(state, make_edge("e0", "n", "c"))
+      validators = Validation.from_spec(max_connections: [max: 1])
+
+      assert {:error, "Source handle already has 1 connection(s)"} =
+               Connection.validate_and_splice(state, params, validators: validators)
+    end
+
+    test "rejects unknown edges, unknown nodes and self-loops", %{state: state} do
+      assert {:error, "Edge not found"} =
+               Connection.validate_and_splice(state, %{"edge_id" => "x", "node_id" => "n"})
+
+      assert {:error, "Node not found"} =
+               Connection.validate_and_splice(state, %{"edge_id" => "e1", "node_id" => "x"})
+
+      assert {:error, "Invalid source or target"} =
+               Connection.validate_and_splice(state, %{"edge_id" => "e1", "node_id" => "a"})
+    end
+  end
+
   describe "edges_for_node/2" do
     test "returns all edges connected to a node" do
       state =
@@ -2,6 +2,7 @@ defmodule LiveFlow.ValidationTest do
   use ExUnit.Case, async: true
 
   alias LiveFlow.{Validation, State, Node, Edge, Handle}
+  alias LiveFlow.Validation.Connection
 
   defp make_node(id, opts \\ []) do
     Node.new(id, %{x: 0, y: 0}, %{}, opts)
@@ -27,6 +28,13 @@ defmodule LiveFlow.ValidationTest do
     )
   end
 
+  defp reconnect_flow do
+    State.new(
+      nodes: [make_node("n1"), make_node("n2"), make_node("n3")],
+      edges: [make_edge("e1", "n1", "n2", label: "keep"), make_edge("e2", "n1", "n3")]
+    )
+  end
+
   describe "validate/3" do
     test "returns :ok when all validators pass" do
       flow = base_flow()
@@ -98,6 +106,40 @@ defmodule LiveFlow.ValidationTest do
     end
   end
 
+  describe "from_spec/1" do
+    test "builds validators from names and {name, opts}" do
+      flow =
+        base_flow()
+        |> State.add_edge(make_edge("e1", "n1", "n2"))
+
+      validators = Validation.from_spec([:nodes_exist, {:max_connections, max: 1}])
+
+      assert length(validators) == 2
+      assert Validation.validate(flow, conn_params("n2", "n3"), validators) == :ok
+
+      assert {:error, "Source handle already has 1 connection(s)"} =
+               Validation.validate(flow, conn_params("n1", "n3"), validators)
+    end
+
+    test "works with Connection.validate_and_create/3" do
+      flow =
+        base_flow()
+        |> State.add_edge(make_edge("e1", "n1", "n2"))
+
+      validators = Validation.from_spec([:no_cycles])
+
+      assert {:error, "Connection would create a cycle"} =
+               Connection.validate_and_create(flow, %{"source" => "n2", "target" => "n1"},
+                 validators: validators
+               )
+    end
+
+    test "raises on unknown validators" do
+      assert_raise ArgumentError, fn -> Validation.from_spec([:no_such_validator]) end
+      assert_raise ArgumentError, fn -> Validation.from_spec([:max_connections]) end
+    end
+  end
+
   describe "no_duplicate_edges/2" do
     test "allows new connection" do
       flow = base_flow()
@@ -370,4 +412,124 @@ defmodule LiveFlow.ValidationTest do
       assert String.contains?(msg, "Incompatible types")
     end
   end
+
+  describe "Connection.validate_and_create/3" do
+    test "rejects self-loops unless allowed" do
+      params = %{"source" => "n1", "target" => "n1", "source_handle" => "out"}
+
+      assert {:error, "Invalid source or target"} =
+               Connection.validate_and_create(base_flow(), params)
+
+      assert {:ok, edge} =
+               Connection.validate_and_create(base_flow(), params, allow_self_loops: true)
+
+      assert Edge.self_loop?(edge)
+    end
+  end
+
+  describe "Connection.pane_params/3" do
+    test "connects the new node to the dragged handle" do
+      params = %{"node_id" => "n1", "handle_id" => "out", "handle_type" => "source"}
+
+      assert {:ok, edge} =
+               Connection.validate_and_create(base_flow(), Connection.pane_params(params, "n2"))
+
+      assert {edge.source, edge.source_handle, edge.target} == {"n1", "out", "n2"}
+    end
+
+    test "makes the new node the source when dragging from a target handle" do
+      params = %{"node_id" => "n1", "handle_id" => "in", "handle_type" => "target"}
+
+      assert Connection.pane_params(params, "n2", "out") == %{
+               "source" => "n2",
+               "source_handle" => "out",
+               "target" => "n1",
+               "target_handle" => "in"
+             }
+    end
+  end
+
+  describe "Connection.rejection/2" do
+    test "includes the reason and the attempted endpoints" do
+      params = %{"source" => "n1", "source_handle" => "out", "target" => "n2"}
+
+      assert Connection.rejection(params, "Connection already exists") == %{
+               reason: "Connection already exists",
+               source: "n1",
+               source_handle: "out",
+               target: "n2",
+               target_handle: nil
+             }
+    end
+
+    test "leaves endpoints of connect_to_pane params to the client" do
+      params = %{"node_id" => "n1", "handle_id" => "out", "handle_type" => "source"}
+
+      assert %{reason: "Nope", source: nil, target: nil} = Connection.rejection(params, "Nope")
+    end
+
+    test "points splice_into_edge rejections at the dropped node's handles" do
+      params = %{
+        "edge_id" => "e1",
+        "node_id" => "n",
+        "source_handle" => "out",
+        "target_handle" => "in"
+      }
+
+      assert Connection.rejection(params, "Nope") == %{
+               reason: "Nope",
+               source: "n",
+               source_handle: "out",
+               target: "n",
+               target_handle: "in"
+             }
+    end
+  end
+
+  describe "Connection.validate_and_reconnect/3" do
+    test "returns the edge with its new endpoints" do
+      params = %{"edge_id" => "e1", "source" => "n1", "target" => "n3"}
+
+      assert {:error, "Connection already exists"} =
+               Connection.validate_and_reconnect(reconnect_flow(), params)
+
+      params = Map.put(params, "target_handle", "in")
+
+      assert {:ok, edge} = Connection.validate_and_reconnect(reconnect_flow(), params)
+      assert edge.id == "e1"
+      assert edge.target == "n3"
+      assert edge.target_handle == "in"
+      assert edge.label == "keep"
+    end
+
+    test "does not conflict with the edge being reconnected" do
+      params = %{"edge_id" => "e1", "source" => "n1", "target" => "n2"}
+
+      assert {:ok, _edge} = Connection.validate_and_reconnect(reconnect_flow(), params)
+    end
+
+    test "moves an edge without explicit handles to another handle on the same node" do
+      params = %{"edge_id" => "e1", "source" => "n1", "target" => "n2", "target_handle" => "top"}
+
+      assert {:ok, edge} = Connection.validate_and_reconnect(reconnect_flow(), params)
+      assert edge.target == "n2"
+      assert edge.target_handle == "top"
+    end
+
+    test "rejects unknown edges and self-connections" do
+      assert {:error, "Edge not found"} =
+               Connection.validate_and_reconnect(reconnect_flow(), %{
+                 "edge_id" => "missing",
+                 "source" => "n1",
+                 "target" => "n2"
+               })
+
+      assert {:error, "Invalid source or target"} =
+               Connection.validate_and_reconnect(reconnect_flow(), %{
+                 "edge_id" => "e1",
+                 "source" => "n2",
+                 "target" => "n2"
+               })
+    end
+  end
 end